@@ -0,0 +1,19 @@
+const path = require("path");
+
+// Where uploaded files are stored (see storage/index.js)
+module.exports = {
+  // "cloudinary" or "local"
+  driver: (process.env.STORAGE_DRIVER || "cloudinary").toLowerCase(),
+  // Folder (Cloudinary) or sub-directory (local) every upload goes into
+  folder: process.env.STORAGE_FOLDER || "pixelarts-media",
+  local: {
+    // Directory the local adapter writes to
+    root: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, "..", "uploads"),
+    // Route the files are served from (see server.js)
+    routePath: "/uploads",
+    // Absolute URL prefix for stored files, as seen by the frontend
+    baseUrl:
+      process.env.LOCAL_STORAGE_BASE_URL ||
+      `http://localhost:${process.env.PORT || 5000}/uploads`,
+  },
+};
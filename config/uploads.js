@@ -0,0 +1,33 @@
+const os = require("os");
+const path = require("path");
+
+const MB = 1024 * 1024;
+
+// Settings for batch, resumable chunked, signed direct and URL ingest uploads
+module.exports = {
+  // Where chunks are staged until the upload completes
+  stagingDir:
+    process.env.UPLOAD_STAGING_DIR || path.join(os.tmpdir(), "pixelarts-uploads"),
+  // Chunk size suggested to clients, and the bounds a client may pick from
+  defaultChunkSize: 8 * MB,
+  minChunkSize: 1 * MB,
+  maxChunkSize: 50 * MB,
+  // Largest file accepted through the chunked protocol
+  maxFileSize: (parseInt(process.env.MAX_CHUNKED_UPLOAD_MB) || 5 * 1024) * MB,
+  // Sessions without activity for this long are expired and cleaned up
+  sessionTtlMs: (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  // How long a signed direct upload may take before it can't be completed
+  directUploadTtlMs: (parseInt(process.env.DIRECT_UPLOAD_TTL_MINUTES) || 60) * 60 * 1000,
+  // Limits for POST /api/media/batch, which buffers every file in memory
+  batch: {
+    maxFiles: parseInt(process.env.BATCH_UPLOAD_MAX_FILES) || 20,
+    maxFileSize: (parseInt(process.env.BATCH_UPLOAD_MAX_FILE_MB) || 50) * MB,
+    maxTotalSize: (parseInt(process.env.BATCH_UPLOAD_MAX_TOTAL_MB) || 250) * MB,
+  },
+  // Limits for copying a remote URL into storage (see utils/remoteFile.js)
+  remoteFetch: {
+    maxBytes: (parseInt(process.env.REMOTE_FETCH_MAX_MB) || 100) * MB,
+    timeoutMs: parseInt(process.env.REMOTE_FETCH_TIMEOUT_MS) || 30 * 1000,
+    maxRedirects: 3,
+  },
+};
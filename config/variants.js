@@ -0,0 +1,39 @@
+// Named presets for the variant URLs sent with every media item
+// (see storage/variants.js). Each preset produces one entry in `variants`:
+//   - `widths`  -> a srcset string per format
+//   - `offsets` -> poster frames at those seconds into a video
+//   - otherwise -> a single URL
+// `mediaTypes` limits a preset to images or videos (default: both).
+module.exports = {
+  presets: {
+    // Grid card, also stored as thumbnailUrl for videos
+    thumbnail: {
+      width: 600,
+      height: 400,
+      crop: "fill",
+      format: "jpg",
+    },
+    // Tiny blurred image shown while the real one loads
+    placeholder: {
+      width: 40,
+      quality: 30,
+      blur: 1000,
+      format: "jpg",
+    },
+    // Responsive widths in modern formats, plus a JPEG fallback
+    srcset: {
+      widths: [320, 640, 960, 1280, 1920, 2560],
+      formats: ["avif", "webp", "jpg"],
+      crop: "limit",
+      mediaTypes: ["image"],
+    },
+    // Poster frames for the video player
+    posters: {
+      offsets: [0, 2, 5],
+      width: 1280,
+      crop: "limit",
+      format: "jpg",
+      mediaTypes: ["video"],
+    },
+  },
+};
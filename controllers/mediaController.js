@@ -1,19 +1,22 @@
 const Media = require("../models/Media");
-const cloudinary = require("../config/cloudinary");
+const { getStorage } = require("../storage");
 
 exports.createMedia = async (req, res) => {
   try {
+    const storage = getStorage();
     let uploadedUrl = null;
+    let thumbnailUrl = null;
     let publicId = null;
 
-    // If file exists -> upload to Cloudinary
+    // If file exists -> store it (multer gives a buffer or a path on disk)
     if (req.file) {
-      const result = await cloudinary.uploader.upload(req.file.path, {
-        folder: "pixelarts", // optional folder in Cloudinary
-        resource_type: "auto", // auto-detect image or video
+      const result = await storage.put(req.file.buffer || req.file.path, {
+        mimeType: req.file.mimetype,
+        fileName: req.file.originalname,
       });
-      uploadedUrl = result.secure_url;
-      publicId = result.public_id;
+      uploadedUrl = result.url;
+      thumbnailUrl = result.thumbnailUrl;
+      publicId = result.publicId;
     }
 
     // If frontend passed a URL directly
@@ -28,7 +31,9 @@ exports.createMedia = async (req, res) => {
       category: req.body.category,
       tags: req.body.tags,
       url: uploadedUrl,
+      thumbnailUrl: thumbnailUrl || undefined,
       cloudinaryPublicId: publicId,
+      storage: storage.name,
       uploadedBy: req.adminId, // assuming you store admin user
     });
 
@@ -0,0 +1,36 @@
+// Timers of the running background jobs, by name
+const timers = new Map();
+
+// Start a background job: runs `fn` once immediately, then every intervalMs.
+// Errors are logged so one failed run doesn't stop the next. Starting a job
+// that is already running does nothing.
+const startIntervalJob = (name, fn, intervalMs) => {
+  if (timers.has(name)) return;
+
+  const run = async () => {
+    try {
+      await fn();
+    } catch (error) {
+      console.error(`❌ ${name} error:`, error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for background jobs
+  timer.unref();
+  timers.set(name, timer);
+
+  console.log(`⏱️ ${name} running every ${intervalMs / 1000}s`);
+};
+
+// Stop a background job started with startIntervalJob
+const stopIntervalJob = (name) => {
+  clearInterval(timers.get(name));
+  timers.delete(name);
+};
+
+module.exports = {
+  startIntervalJob,
+  stopIntervalJob,
+};
@@ -0,0 +1,27 @@
+const Media = require("../models/Media");
+const { startIntervalJob, stopIntervalJob } = require("./intervalJob");
+
+const JOB_NAME = "Media scheduler";
+
+// Record every publish/unpublish date that has come due
+const runMediaSchedules = async () => {
+  const { published, unpublished } = await Media.applySchedules();
+
+  if (published || unpublished) {
+    console.log(
+      `🗓️ Media scheduler: ${published} published, ${unpublished} unpublished`
+    );
+  }
+};
+
+const startMediaScheduler = (
+  intervalMs = parseInt(process.env.MEDIA_SCHEDULER_INTERVAL_MS) || 60 * 1000
+) => startIntervalJob(JOB_NAME, runMediaSchedules, intervalMs);
+
+const stopMediaScheduler = () => stopIntervalJob(JOB_NAME);
+
+module.exports = {
+  runMediaSchedules,
+  startMediaScheduler,
+  stopMediaScheduler,
+};
@@ -0,0 +1,29 @@
+const Media = require("../models/Media");
+const { startIntervalJob, stopIntervalJob } = require("./intervalJob");
+
+const JOB_NAME = "Trash retention";
+
+// Days trashed media is kept before it is purged for good
+const getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Purge trashed media (storage asset and document) past the retention period
+const runTrashRetention = async () => {
+  const { purged, failed } = await Media.purgeExpiredTrash(getRetentionDays());
+
+  if (purged || failed) {
+    console.log(`🗑️ Trash retention: ${purged} purged, ${failed} failed`);
+  }
+};
+
+const startTrashRetention = (
+  intervalMs = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000
+) => startIntervalJob(JOB_NAME, runTrashRetention, intervalMs);
+
+const stopTrashRetention = () => stopIntervalJob(JOB_NAME);
+
+module.exports = {
+  getRetentionDays,
+  runTrashRetention,
+  startTrashRetention,
+  stopTrashRetention,
+};
@@ -0,0 +1,25 @@
+const UploadSession = require("../models/UploadSession");
+const { startIntervalJob, stopIntervalJob } = require("./intervalJob");
+
+const JOB_NAME = "Upload cleanup";
+
+// Remove abandoned upload sessions and their staged chunks
+const runUploadCleanup = async () => {
+  const removed = await UploadSession.cleanupExpired();
+
+  if (removed) {
+    console.log(`📦 Upload cleanup: ${removed} expired sessions removed`);
+  }
+};
+
+const startUploadCleanup = (
+  intervalMs = parseInt(process.env.UPLOAD_CLEANUP_INTERVAL_MS) || 15 * 60 * 1000
+) => startIntervalJob(JOB_NAME, runUploadCleanup, intervalMs);
+
+const stopUploadCleanup = () => stopIntervalJob(JOB_NAME);
+
+module.exports = {
+  runUploadCleanup,
+  startUploadCleanup,
+  stopUploadCleanup,
+};
@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
 
+// Tokens signed for one job (a purpose claim or an audience) can't be used to sign in
+const isPurposeToken = (decoded) => Boolean(decoded.purpose || decoded.aud);
+
 // Verify JWT token
 const verifyToken = async (req, res, next) => {
   try {
@@ -23,6 +26,14 @@ const verifyToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (such as direct upload tokens) are not sessions
+    if (isPurposeToken(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token.'
+      });
+    }
     
     // Check if admin still exists and is active
     const admin = await Admin.findById(decoded.adminId).select('-password');
@@ -127,6 +138,10 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (isPurposeToken(decoded)) {
+      return next();
+    }
+
     const admin = await Admin.findById(decoded.adminId).select('-password');
     
     if (admin && admin.isActive && !admin.isLocked) {
@@ -193,7 +208,7 @@ const refreshTokenIfNeeded = async (req, res, next) => {
     const token = authHeader.replace('Bearer ', '');
     const decoded = jwt.decode(token);
     
-    if (!decoded || !decoded.exp) {
+    if (!decoded || !decoded.exp || isPurposeToken(decoded)) {
       return next();
     }
 
@@ -1,3 +1,5 @@
+const multer = require('multer');
+
 const errorHandler = (err, req, res, next) => {
   console.error('Error occurred:', {
     message: err.message,
@@ -47,7 +49,14 @@ const errorHandler = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       error = { 
-        message: 'File too large. Maximum size is 10MB.', 
+        message: err.limit
+          ? `File too large. Maximum size is ${Math.round(err.limit / (1024 * 1024))}MB.`
+          : 'File too large.', 
+        statusCode: 400 
+      };
+    } else if (err.code === 'LIMIT_FILE_COUNT') {
+      error = { 
+        message: 'Too many files in one upload', 
         statusCode: 400 
       };
     } else if (err.code === 'LIMIT_UNEXPECTED_FILE') {
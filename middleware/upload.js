@@ -1,44 +1,51 @@
 const multer = require("multer");
-const path = require("path");
-const { v2: cloudinary } = require("cloudinary");
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+const { getStorage } = require("../storage");
+const Media = require("../models/Media");
+const MediaRevision = require("../models/MediaRevision");
+const Category = require("../models/Category");
+
+// Allowed image types
+const imageTypes = [
+  "image/jpeg",
+  "image/jpg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+];
+// Allowed video types
+const videoTypes = [
+  "video/mp4",
+  "video/mpeg",
+  "video/quicktime",
+  "video/x-msvideo",
+];
+
+const allowedTypes = [...imageTypes, ...videoTypes];
+
+// Check a MIME type against the allowlist
+const isAllowedMimeType = (mimetype) => allowedTypes.includes(mimetype);
 
 // File filter function
 const fileFilter = (req, file, cb) => {
-  // Allowed image types
-  const imageTypes = [
-    "image/jpeg",
-    "image/jpg",
-    "image/png",
-    "image/gif",
-    "image/webp",
-  ];
-  // Allowed video types
-  const videoTypes = [
-    "video/mp4",
-    "video/mpeg",
-    "video/quicktime",
-    "video/x-msvideo",
-  ];
-
-  const allowedTypes = [...imageTypes, ...videoTypes];
-
-  if (allowedTypes.includes(file.mimetype)) {
+  if (isAllowedMimeType(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(
-      new Error("Invalid file type. Only images and videos are allowed."),
-      false
-    );
+    const error = new Error("Invalid file type. Only images and videos are allowed.");
+    error.statusCode = 400;
+    cb(error, false);
   }
 };
 
+// Wrap a multer middleware so a LIMIT_FILE_SIZE error carries the limit it
+// hit (as `limit`, in bytes) for the error handler to report
+const withFileSizeLimit = (middleware, maxFileSize) => (req, res, next) =>
+  middleware(req, res, (error) => {
+    if (error instanceof multer.MulterError && error.code === "LIMIT_FILE_SIZE") {
+      error.limit = maxFileSize;
+    }
+    next(error);
+  });
+
 // Multer configuration for memory storage
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -48,29 +55,6 @@ const upload = multer({
   fileFilter: fileFilter,
 });
 
-// Upload to Cloudinary function
-const uploadToCloudinary = (fileBuffer, options = {}) => {
-  return new Promise((resolve, reject) => {
-    const uploadOptions = {
-      folder: "pixel-arts-vfx",
-      resource_type: "auto", // Automatically detect file type
-      quality: "auto",
-      format: "auto",
-      ...options,
-    };
-
-    cloudinary.uploader
-      .upload_stream(uploadOptions, (error, result) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve(result);
-        }
-      })
-      .end(fileBuffer);
-  });
-};
-
 // Middleware to handle single file upload
 const handleFileUpload = async (req, res, next) => {
   try {
@@ -78,29 +62,32 @@ const handleFileUpload = async (req, res, next) => {
       return next(); // No file uploaded, continue
     }
 
-    console.log("📤 Uploading file to Cloudinary...");
+    const storage = getStorage();
+    console.log(`📤 Uploading file to ${storage.name} storage...`);
 
-    // Upload to Cloudinary
-    const result = await uploadToCloudinary(req.file.buffer, {
-      folder: "pixel-arts-vfx/media",
+    const result = await storage.put(req.file.buffer, {
+      mimeType: req.file.mimetype,
+      fileName: req.file.originalname,
     });
 
     // Add upload result to request object
     req.uploadResult = {
-      url: result.secure_url,
-      publicId: result.public_id,
+      url: result.url,
+      thumbnailUrl: result.thumbnailUrl,
+      publicId: result.publicId,
+      storage: storage.name,
       fileSize: result.bytes,
       width: result.width,
       height: result.height,
       duration: result.duration, // For videos
       format: result.format,
-      resourceType: result.resource_type,
+      resourceType: result.resourceType,
     };
 
-    console.log("✅ File uploaded successfully:", result.public_id);
+    console.log("✅ File uploaded successfully:", result.publicId);
     next();
   } catch (error) {
-    console.error("❌ Cloudinary upload error:", error);
+    console.error("❌ Storage upload error:", error);
 
     let errorMessage = "File upload failed";
 
@@ -119,41 +106,131 @@ const handleFileUpload = async (req, res, next) => {
   }
 };
 
-// Delete from Cloudinary function
-const deleteFromCloudinary = async (publicId) => {
-  try {
-    const result = await cloudinary.uploader.destroy(publicId);
-    console.log("🗑️ File deleted from Cloudinary:", publicId);
-    return result;
-  } catch (error) {
-    console.error("❌ Error deleting file from Cloudinary:", error);
-    throw error;
-  }
+// Split a tags field (comma-separated string or array) into trimmed tags
+const parseTags = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((tag) => String(tag).trim())
+    .filter((tag) => tag);
 };
 
-// Generate thumbnail for videos
-const generateVideoThumbnail = async (publicId) => {
-  try {
-    const thumbnailUrl = cloudinary.url(publicId, {
-      resource_type: "video",
-      format: "jpg",
-      transformation: [
-        { width: 400, height: 300, crop: "fill" },
-        { quality: "auto" },
-      ],
+// Read and check the fields every upload path shares: category, hero flag,
+// initial status and tags. `mimeType` is checked against the hero flag when
+// the file type is already known. Sends a 400/403 and resolves to null when
+// they are not acceptable.
+const readUploadFields = async (req, res, { mimeType } = {}) => {
+  const category = req.body.category || "showreel";
+  if (!(await Category.slugExists(category))) {
+    res.status(400).json({
+      success: false,
+      message: `Category "${category}" does not exist`,
     });
+    return null;
+  }
 
-    return thumbnailUrl;
-  } catch (error) {
-    console.error("❌ Error generating video thumbnail:", error);
+  // The hero-image category always makes a hero candidate
+  const isHeroImage = category === "hero-image" || String(req.body.isHeroImage) === "true";
+  if (isHeroImage && mimeType && !mimeType.startsWith("image/")) {
+    res.status(400).json({
+      success: false,
+      message: "Hero image must be an image file, not a video",
+    });
     return null;
   }
+
+  // New media starts as a draft unless asked otherwise; publishing needs an approver
+  const status = req.body.status || "draft";
+  if (!Media.INITIAL_STATUSES.includes(status)) {
+    res.status(400).json({
+      success: false,
+      message: `Initial status must be one of: ${Media.INITIAL_STATUSES.join(", ")}`,
+    });
+    return null;
+  }
+  if (status === "published" && !req.admin.hasPermission("approve-media")) {
+    res.status(403).json({
+      success: false,
+      message: "Approver permission required to publish media",
+    });
+    return null;
+  }
+
+  return { category, isHeroImage, status, tags: parseTags(req.body.tags) };
+};
+
+// Build the (unsaved) media item for a stored file.
+// `fields`: title, description, uploadedBy and the readUploadFields result,
+//   optionally with heroSchedule, publishAt and unpublishAt.
+// `stored`: the storage put() result plus the `storage` driver name.
+// `file`: originalName, size, mimeType, contentHash, perceptualHash, the
+//   extracted `info` (see utils/mediaMetadata.js), and uploadSource/sourceUrl.
+const buildMediaFromUpload = (fields, stored, file) => {
+  const media = new Media({
+    title: fields.title,
+    description: fields.description || "",
+    type: file.mimeType.startsWith("video/") ? "video" : "image",
+    url: stored.url,
+    thumbnailUrl: stored.thumbnailUrl,
+    tags: fields.tags || [],
+    category: fields.category,
+    isHeroImage: Boolean(fields.isHeroImage),
+    heroSchedule: fields.heroSchedule,
+    publishAt: fields.publishAt,
+    unpublishAt: fields.unpublishAt,
+    isActive: true,
+    status: fields.status,
+    statusHistory: [
+      { from: null, to: fields.status, changedBy: fields.uploadedBy, changedAt: new Date() },
+    ],
+    isFeatured: false,
+    sortOrder: 0,
+    viewCount: 0,
+    uploadedBy: fields.uploadedBy,
+    cloudinaryPublicId: stored.publicId,
+    storage: stored.storage,
+    metadata: {
+      uploadSource: file.uploadSource || "file-upload",
+      originalName: file.originalName,
+      sourceUrl: file.sourceUrl || undefined,
+    },
+    seo: {
+      keywords: [],
+      altText: fields.title,
+    },
+    fileSize: file.size,
+    mimeType: file.mimeType,
+    contentHash: file.contentHash,
+    perceptualHash: file.perceptualHash,
+  });
+
+  return media.applyFileMetadata(file.info);
+};
+
+// Save a media item built by buildMediaFromUpload and record its first
+// revision. The stored file is deleted again if the record can't be saved.
+const saveUploadedMedia = async (media, admin) => {
+  try {
+    await media.save();
+  } catch (saveError) {
+    await getStorage(media.storage)
+      .delete(media.cloudinaryPublicId, { resourceType: media.type })
+      .catch((destroyError) => console.error("Cleanup error:", destroyError));
+    throw saveError;
+  }
+
+  await MediaRevision.record(media, admin);
+  return media;
 };
 
 module.exports = {
   upload,
+  fileFilter,
+  withFileSizeLimit,
+  allowedTypes,
+  isAllowedMimeType,
   handleFileUpload,
-  uploadToCloudinary,
-  deleteFromCloudinary,
-  generateVideoThumbnail,
+  parseTags,
+  readUploadFields,
+  buildMediaFromUpload,
+  saveUploadedMedia,
 };
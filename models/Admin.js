@@ -31,6 +31,11 @@ const adminSchema = new mongoose.Schema({
     enum: ['admin', 'superadmin'],
     default: 'admin'
   },
+  // Extra capabilities on top of the role (superadmins have all of them)
+  permissions: [{
+    type: String,
+    enum: ['approve-media']
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -86,6 +91,11 @@ adminSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check a permission
+adminSchema.methods.hasPermission = function(permission) {
+  return this.role === 'superadmin' || (this.permissions || []).includes(permission);
+};
+
 // Method to increment login attempts
 adminSchema.methods.incLoginAttempts = function() {
   // If we have a previous lock that has expired, restart at 1
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+// Categories that existed as a hard-coded enum on Media, seeded on first start
+const DEFAULT_CATEGORIES = [
+  { slug: "showreel", name: "Showreel" },
+  { slug: "ai-generation", name: "AI Generation" },
+  { slug: "movies", name: "Movies" },
+  { slug: "series", name: "Series" },
+  { slug: "posters", name: "Posters" },
+  { slug: "hero-image", name: "Hero Image", isVisible: false },
+  { slug: "portfolio", name: "Portfolio" },
+  { slug: "demo", name: "Demo" },
+  { slug: "tutorial", name: "Tutorial" },
+  { slug: "behind-scenes", name: "Behind the Scenes" },
+];
+
+const categorySchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: [true, "Slug is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: [50, "Slug must be less than 50 characters"],
+      match: [
+        /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        "Slug can only contain lowercase letters, numbers and single hyphens",
+      ],
+    },
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [100, "Name must be less than 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description must be less than 500 characters"],
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    isVisible: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+categorySchema.index({ isVisible: 1, sortOrder: 1 });
+
+// Static method to seed the default categories into an empty collection
+categorySchema.statics.createDefaultCategories = async function () {
+  const categoryCount = await this.countDocuments();
+
+  if (categoryCount === 0) {
+    await this.insertMany(
+      DEFAULT_CATEGORIES.map((category, index) => ({
+        ...category,
+        sortOrder: index,
+      }))
+    );
+    console.log("✅ Default categories created");
+    return true;
+  }
+
+  return false;
+};
+
+// Static method to check whether a category slug exists
+categorySchema.statics.slugExists = async function (slug) {
+  return !!(await this.exists({ slug: String(slug).trim().toLowerCase() }));
+};
+
+module.exports = mongoose.model("Category", categorySchema);
@@ -1,4 +1,11 @@
 const mongoose = require("mongoose");
+const MediaAnalytics = require("./MediaAnalytics");
+const Category = require("./Category");
+const Project = require("./Project");
+const MediaRevision = require("./MediaRevision");
+const { getStorage, STORAGE_DRIVERS } = require("../storage");
+const { buildVariants } = require("../storage/variants");
+const { NEAR_DUPLICATE_DISTANCE, findNearPairs } = require("../utils/mediaHash");
 
 const mediaSchema = new mongoose.Schema(
   {
@@ -30,10 +37,17 @@ const mediaSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Storage key of the file (named before storage backends were pluggable)
     cloudinaryPublicId: {
       type: String,
       trim: true,
     },
+    // Storage backend the file was written to
+    storage: {
+      type: String,
+      enum: STORAGE_DRIVERS,
+      default: "cloudinary",
+    },
     fileSize: {
       type: Number,
       min: 0,
@@ -50,6 +64,18 @@ const mediaSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // SHA-256 of the file, for exact duplicate detection
+    contentHash: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    // 64-bit difference hash of images, for near-duplicate detection
+    perceptualHash: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
     tags: [
       {
         type: String,
@@ -59,24 +85,72 @@ const mediaSchema = new mongoose.Schema(
     ],
     category: {
       type: String,
-      enum: [
-        "showreel",
-        "ai-generation",
-        "movies", // Added for project movies
-        "series", // Added for project series
-        "posters", // Added for project posters
-        'hero-image',
-        "portfolio",
-        "demo",
-        "tutorial",
-        "behind-scenes",
-      ],
+      trim: true,
+      lowercase: true,
       default: "showreel",
+      // Categories live in their own collection (see models/Category.js)
+      validate: {
+        validator: function (value) {
+          return Category.slugExists(value);
+        },
+        message: (props) => `Category "${props.value}" does not exist`,
+      },
     },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Editorial workflow; only published media is public
+    status: {
+      type: String,
+      enum: {
+        values: ["draft", "in-review", "approved", "published", "archived"],
+        message: "Status must be draft, in-review, approved, published or archived",
+      },
+      default: "draft",
+    },
+    statusHistory: [
+      {
+        from: String,
+        to: String,
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Admin",
+        },
+        changedAt: { type: Date, default: Date.now },
+        note: { type: String, trim: true, maxlength: 500 },
+        _id: false,
+      },
+    ],
+    // Scheduled release window; public queries hide media outside it
+    publishAt: {
+      type: Date,
+    },
+    unpublishAt: {
+      type: Date,
+      validate: {
+        validator: function (value) {
+          return !value || !this.publishAt || value > this.publishAt;
+        },
+        message: "Unpublish date must be after the publish date",
+      },
+    },
+    // Set by the scheduler when it applied publishAt / unpublishAt
+    publishedAt: {
+      type: Date,
+    },
+    unpublishedAt: {
+      type: Date,
+    },
+    // Soft delete: trashed media is hidden everywhere until restored or purged
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
     isFeatured: {
       type: Boolean,
       default: false,
@@ -85,6 +159,11 @@ const mediaSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Position in the featured set (sortOrder is the position in the category)
+    featuredOrder: {
+      type: Number,
+      default: 0,
+    },
     viewCount: {
       type: Number,
       default: 0,
@@ -96,6 +175,8 @@ const mediaSchema = new mongoose.Schema(
     },
     metadata: {
       originalName: String,
+      // Where an ingested URL upload was downloaded from
+      sourceUrl: String,
       uploadSource: {
         type: String,
         enum: ["file-upload", "url", "api"],
@@ -106,6 +187,18 @@ const mediaSchema = new mongoose.Schema(
         enum: ["low", "medium", "high", "ultra"],
         default: "medium",
       },
+      // Read from the file on upload (see utils/mediaMetadata.js)
+      orientation: {
+        type: Number, // EXIF orientation, 1-8
+        min: 1,
+        max: 8,
+      },
+      colorProfile: String,
+      codec: String,
+      frameRate: {
+        type: Number,
+        min: 0,
+      },
     },
     seo: {
       altText: String,
@@ -115,12 +208,35 @@ const mediaSchema = new mongoose.Schema(
       impressions: { type: Number, default: 0 },
       clicks: { type: Number, default: 0 },
       shares: { type: Number, default: 0 },
+      sharesByNetwork: {
+        type: Map,
+        of: Number,
+        default: {},
+      },
+      plays: { type: Number, default: 0 },
+      playCompletions: { type: Number, default: 0 },
     },
     isHeroImage: { 
     type: Boolean, 
     default: false,
     index: true // Add index for faster queries
   },
+  // Campaign window and rotation weight for hero candidates
+  heroSchedule: {
+    startAt: { type: Date },
+    endAt: {
+      type: Date,
+      validate: {
+        validator: function (value) {
+          return !value || !this.heroSchedule.startAt || value > this.heroSchedule.startAt;
+        },
+        message: "Hero end date must be after its start date",
+      },
+    },
+    weight: { type: Number, default: 1, min: [0, "Hero weight cannot be negative"] },
+    // Shown when no scheduled hero is live
+    isDefault: { type: Boolean, default: false },
+  },
   
   uploadDate: { type: Date, default: Date.now },
   createdAt: { type: Date, default: Date.now },
@@ -135,10 +251,33 @@ const mediaSchema = new mongoose.Schema(
 // Indexes for performance
 mediaSchema.index({ type: 1, isActive: 1 });
 mediaSchema.index({ category: 1, isActive: 1 });
-mediaSchema.index({ isFeatured: 1, sortOrder: 1 });
+mediaSchema.index({ status: 1 });
+mediaSchema.index({ deletedAt: 1 });
+mediaSchema.index({ contentHash: 1 });
+mediaSchema.index({ isFeatured: 1, featuredOrder: 1 });
+mediaSchema.index({ category: 1, sortOrder: 1 });
 mediaSchema.index({ uploadedBy: 1 });
 mediaSchema.index({ tags: 1 });
 mediaSchema.index({ createdAt: -1 });
+mediaSchema.index({ publishAt: 1, publishedAt: 1 });
+mediaSchema.index({ unpublishAt: 1, unpublishedAt: 1 });
+mediaSchema.index(
+  {
+    title: "text",
+    tags: "text",
+    "seo.keywords": "text",
+    description: "text",
+  },
+  {
+    name: "media_text_search",
+    weights: {
+      title: 10,
+      tags: 6,
+      "seo.keywords": 3,
+      description: 1,
+    },
+  }
+);
 
 // Virtual for formatted file size
 mediaSchema.virtual("formattedFileSize").get(function () {
@@ -163,9 +302,24 @@ mediaSchema.virtual("formattedDuration").get(function () {
   return `${minutes}:${seconds.toString().padStart(2, "0")}`;
 });
 
+// Virtual for responsive variant URLs (presets in config/variants.js)
+mediaSchema.virtual("variants").get(function () {
+  return buildVariants(this);
+});
+
+// Variant URLs go out with every media response
+mediaSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.variants = doc.variants;
+    return ret;
+  },
+});
+
 // Static method to get media statistics
-mediaSchema.statics.getStats = function () {
-  return this.aggregate([
+mediaSchema.statics.getStats = async function () {
+  const now = new Date();
+
+  const statsQuery = this.aggregate([
     {
       $facet: {
         totalStats: [
@@ -180,6 +334,11 @@ mediaSchema.statics.getStats = function () {
                 $sum: { $cond: [{ $eq: ["$isFeatured", true] }, 1, 0] },
               },
               totalViews: { $sum: "$viewCount" },
+              totalImpressions: { $sum: "$analytics.impressions" },
+              totalClicks: { $sum: "$analytics.clicks" },
+              totalShares: { $sum: "$analytics.shares" },
+              totalPlays: { $sum: "$analytics.plays" },
+              totalPlayCompletions: { $sum: "$analytics.playCompletions" },
               totalFileSize: { $sum: "$fileSize" },
             },
           },
@@ -220,72 +379,829 @@ mediaSchema.statics.getStats = function () {
             $count: "count",
           },
         ],
+        statusStats: [
+          {
+            $group: {
+              _id: "$status",
+              count: { $sum: 1 },
+            },
+          },
+        ],
       },
     },
   ]);
+
+  // Last 7 days of engagement, read straight from the daily counters
+  const [stats, recentActivity] = await Promise.all([
+    statsQuery,
+    MediaAnalytics.getTrends({
+      from: new Date(now.getTime() - 6 * MediaAnalytics.DAY_MS),
+      to: now,
+    }),
+  ]);
+
+  stats[0].recentActivity = recentActivity;
+  return stats;
 };
 
 // Method to increment view count
-mediaSchema.methods.incrementViews = function () {
-  return this.updateOne({ $inc: { viewCount: 1, "analytics.impressions": 1 } });
+mediaSchema.methods.incrementViews = async function () {
+  await this.updateOne({ $inc: { viewCount: 1, "analytics.impressions": 1 } });
+  await MediaAnalytics.record(this._id, { impressions: 1 });
 };
 
 // Method to increment clicks
-mediaSchema.methods.incrementClicks = function () {
-  return this.updateOne({ $inc: { "analytics.clicks": 1 } });
+mediaSchema.methods.incrementClicks = async function () {
+  await this.updateOne({ $inc: { "analytics.clicks": 1 } });
+  await MediaAnalytics.record(this._id, { clicks: 1 });
 };
 
-// Static method to search media
-mediaSchema.statics.searchMedia = function (query, options = {}) {
+// Static method to get the filter for media the public may see at a given time
+mediaSchema.statics.publicFilter = function (now = new Date()) {
+  return {
+    isActive: true,
+    status: "published",
+    publishAt: { $not: { $gt: now } },
+    unpublishAt: { $not: { $lte: now } },
+  };
+};
+
+// Projection for public responses: leaves out the review history, trash
+// markers, file hashes, the ingest source URL and raw analytics counters
+mediaSchema.statics.PUBLIC_PROJECTION = {
+  statusHistory: 0,
+  deletedAt: 0,
+  deletedBy: 0,
+  contentHash: 0,
+  perceptualHash: 0,
+  "metadata.sourceUrl": 0,
+  analytics: 0,
+};
+
+// Static method to record due publish/unpublish dates. publicFilter already
+// hides media outside its window, so isActive stays under admin control and
+// a rescheduled window takes effect without undoing anything here.
+// Resolves to { published, unpublished } document counts.
+mediaSchema.statics.applySchedules = async function (now = new Date()) {
+  const published = await this.updateMany(
+    {
+      publishAt: { $lte: now },
+      publishedAt: null,
+      unpublishAt: { $not: { $lte: now } },
+      deletedAt: null,
+    },
+    { $set: { publishedAt: now } }
+  );
+
+  const unpublished = await this.updateMany(
+    { unpublishAt: { $lte: now }, unpublishedAt: null, deletedAt: null },
+    { $set: { unpublishedAt: now } }
+  );
+
+  return {
+    published: published.modifiedCount,
+    unpublished: unpublished.modifiedCount,
+  };
+};
+
+// Method to restore the tracked fields from a revision snapshot
+mediaSchema.methods.applySnapshot = function (snapshot) {
+  MediaRevision.TRACKED_FIELDS.forEach((field) => {
+    if (MediaRevision.UNRESTORED_FIELDS.includes(field)) return;
+    if (snapshot[field] !== undefined) {
+      this.set(field, snapshot[field]);
+    }
+  });
+  return this;
+};
+
+// Method to move media to the trash
+mediaSchema.methods.softDelete = function (admin) {
+  this.deletedAt = new Date();
+  this.deletedBy = admin._id;
+  return this.updateOne({ $set: { deletedAt: this.deletedAt, deletedBy: this.deletedBy } });
+};
+
+// Method to store the technical metadata read from an uploaded file, replacing
+// whatever the previous file had
+mediaSchema.methods.applyFileMetadata = function (info = {}) {
+  this.dimensions =
+    info.width && info.height ? { width: info.width, height: info.height } : undefined;
+  this.duration = info.duration;
+  this.set("metadata.orientation", info.orientation);
+  this.set("metadata.colorProfile", info.colorProfile);
+  this.set("metadata.codec", info.codec);
+  this.set("metadata.frameRate", info.frameRate);
+  this.set("metadata.quality", info.quality || "medium");
+  return this;
+};
+
+// Method to restore media from the trash
+mediaSchema.methods.restore = function () {
+  this.deletedAt = null;
+  this.deletedBy = undefined;
+  return this.updateOne({ $set: { deletedAt: null }, $unset: { deletedBy: 1 } });
+};
+
+// Weights for related media scoring (see findRelated)
+const RELATED_WEIGHTS = {
+  sharedTag: 3, // per shared tag
+  sameProject: 5,
+  sameCategory: 2,
+  sameType: 1,
+  recency: 2, // halves every RELATED_RECENCY_HALF_LIFE_DAYS
+  featured: 1.5,
+};
+const RELATED_RECENCY_HALF_LIFE_DAYS = 90;
+
+// Static method to rank publicly visible media related to an item by shared
+// tags, project, category and type, favouring recent and featured items.
+// Scoring happens in the database, so every linked item is ranked before the
+// limit applies. Hero banners and copies of the same file are left out.
+// Resolves to [{ media, score, reasons }], best first.
+mediaSchema.statics.findRelated = async function (media, options = {}) {
+  const { limit = 8, now = new Date() } = options;
+
+  const projects = await Project.findByMedia(media._id).select("media");
+  const projectMediaIds = [
+    ...new Set(projects.flatMap((project) => project.media.map(String))),
+  ]
+    .filter((id) => id !== String(media._id))
+    .map((id) => new mongoose.Types.ObjectId(id));
+
+  const tags = [...media.tags];
+  const links = [{ category: media.category }];
+  if (tags.length > 0) links.push({ tags: { $in: tags } });
+  if (projectMediaIds.length > 0) links.push({ _id: { $in: projectMediaIds } });
+
+  const match = {
+    ...this.publicFilter(now),
+    _id: { $ne: media._id },
+    isHeroImage: { $ne: true },
+    $or: links,
+  };
+  if (media.contentHash) match.contentHash = { $ne: media.contentHash };
+
+  const ageDays = {
+    $divide: [
+      { $subtract: [now, { $ifNull: ["$publishedAt", "$createdAt"] }] },
+      24 * 60 * 60 * 1000,
+    ],
+  };
+  const weightIf = (condition, weight) => ({ $cond: [condition, weight, 0] });
+
+  const ranked = await this.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        relatedBy: {
+          // $literal, so tags starting with "$" aren't read as field paths
+          sharedTags: {
+            $size: { $setIntersection: [{ $ifNull: ["$tags", []] }, { $literal: tags }] },
+          },
+          project: { $in: ["$_id", projectMediaIds] },
+          category: { $eq: ["$category", media.category] },
+          type: { $eq: ["$type", media.type] },
+          featured: { $eq: ["$isFeatured", true] },
+        },
+      },
+    },
+    {
+      $addFields: {
+        relatedScore: {
+          $add: [
+            { $multiply: ["$relatedBy.sharedTags", RELATED_WEIGHTS.sharedTag] },
+            weightIf("$relatedBy.project", RELATED_WEIGHTS.sameProject),
+            weightIf("$relatedBy.category", RELATED_WEIGHTS.sameCategory),
+            weightIf("$relatedBy.type", RELATED_WEIGHTS.sameType),
+            weightIf("$relatedBy.featured", RELATED_WEIGHTS.featured),
+            {
+              $multiply: [
+                RELATED_WEIGHTS.recency,
+                {
+                  $pow: [
+                    0.5,
+                    { $divide: [{ $max: [0, ageDays] }, RELATED_RECENCY_HALF_LIFE_DAYS] },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      },
+    },
+    { $sort: { relatedScore: -1, createdAt: -1 } },
+    // The same file uploaded twice should only show once
+    {
+      $group: {
+        _id: { $ifNull: ["$contentHash", "$_id"] },
+        doc: { $first: "$$ROOT" },
+      },
+    },
+    { $replaceRoot: { newRoot: "$doc" } },
+    { $sort: { relatedScore: -1, createdAt: -1 } },
+    { $limit: limit },
+    { $project: this.PUBLIC_PROJECTION },
+  ]);
+
+  return ranked.map(({ relatedScore, relatedBy, ...doc }) => {
+    const reasons = [];
+    if (relatedBy.sharedTags > 0) reasons.push("tags");
+    if (relatedBy.project) reasons.push("project");
+    if (relatedBy.category) reasons.push("category");
+    if (relatedBy.type) reasons.push("type");
+    if (relatedBy.featured) reasons.push("featured");
+
+    return {
+      media: this.hydrate(doc),
+      score: Math.round(relatedScore * 100) / 100,
+      reasons,
+    };
+  });
+};
+
+mediaSchema.statics.RELATED_WEIGHTS = RELATED_WEIGHTS;
+
+// Static method to find media holding exactly the same file
+mediaSchema.statics.findExactDuplicates = function (contentHash, excludeId) {
+  const filter = { contentHash };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  return this.find(filter)
+    .select("title type url thumbnailUrl category createdAt")
+    .sort({ createdAt: 1 });
+};
+
+// Static method to group media into clusters of exact duplicates (same content
+// hash) and near-duplicates (perceptual hashes at most maxDistance bits apart).
+// Near clusters whose items all share one file are left to the exact list.
+mediaSchema.statics.getDuplicateClusters = async function (options = {}) {
+  const { maxDistance = NEAR_DUPLICATE_DISTANCE } = options;
+
+  const items = await this.find({
+    $or: [{ contentHash: { $ne: null } }, { perceptualHash: { $ne: null } }],
+  })
+    .select("title type url thumbnailUrl category isActive status createdAt contentHash perceptualHash")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  // Exact: group by content hash
+  const byContent = new Map();
+  items.forEach((item) => {
+    if (!item.contentHash) return;
+    if (!byContent.has(item.contentHash)) byContent.set(item.contentHash, []);
+    byContent.get(item.contentHash).push(item);
+  });
+
+  const exact = [...byContent.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([contentHash, group]) => ({ contentHash, count: group.length, items: group }));
+
+  // Near: union images within maxDistance bits of each other
+  const hashed = items.filter((item) => item.perceptualHash);
+  const parent = hashed.map((item, index) => index);
+  const root = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const clusterDistance = new Map();
+
+  const pairs = findNearPairs(
+    hashed.map((item) => item.perceptualHash),
+    maxDistance
+  );
+  for (const [i, j, distance] of pairs) {
+    const [a, b] = [root(i), root(j)];
+    const merged = Math.max(distance, clusterDistance.get(a) || 0, clusterDistance.get(b) || 0);
+    parent[b] = a;
+    clusterDistance.set(a, merged);
+  }
+
+  const byRoot = new Map();
+  hashed.forEach((item, index) => {
+    const key = root(index);
+    if (!byRoot.has(key)) byRoot.set(key, []);
+    byRoot.get(key).push(item);
+  });
+
+  const near = [...byRoot.entries()]
+    .filter(([, group]) => new Set(group.map((item) => item.contentHash)).size > 1)
+    .map(([key, group]) => ({
+      count: group.length,
+      maxDistance: clusterDistance.get(key) || 0,
+      items: group,
+    }));
+
+  const byCount = (a, b) => b.count - a.count;
+  return { exact: exact.sort(byCount), near: near.sort(byCount) };
+};
+
+// Static method to find trashed media
+mediaSchema.statics.findTrashed = function (filter = {}) {
+  return this.find({ ...filter, deletedAt: { $ne: null } });
+};
+
+// Static method to purge trashed media older than the retention period.
+// Resolves to { purged, failed } counts; failures are retried on the next run.
+mediaSchema.statics.purgeExpiredTrash = async function (retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = await this.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  let purged = 0;
+  let failed = 0;
+  for (const media of expired) {
+    try {
+      await media.deleteOne();
+      purged += 1;
+    } catch (error) {
+      console.error(`❌ Failed to purge media ${media._id}:`, error);
+      failed += 1;
+    }
+  }
+
+  return { purged, failed };
+};
+
+// Allowed editorial status transitions
+const STATUS_TRANSITIONS = {
+  draft: ["in-review", "archived"],
+  "in-review": ["draft", "approved", "archived"],
+  approved: ["published", "in-review", "draft", "archived"],
+  published: ["draft", "archived"],
+  archived: ["draft"],
+};
+
+// Statuses only admins with the approve-media permission may move media to
+const APPROVER_STATUSES = ["published"];
+
+// Method to move media through the editorial workflow.
+// Throws an error carrying a statusCode when the move is not allowed.
+mediaSchema.methods.transitionStatus = async function (toStatus, admin, note) {
+  const fromStatus = this.status;
+
+  if (!STATUS_TRANSITIONS[toStatus]) {
+    const error = new Error(`Unknown status: ${toStatus}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!STATUS_TRANSITIONS[fromStatus].includes(toStatus)) {
+    const error = new Error(`Cannot move media from ${fromStatus} to ${toStatus}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (APPROVER_STATUSES.includes(toStatus) && !admin.hasPermission("approve-media")) {
+    const error = new Error(`Approver permission required to move media to ${toStatus}`);
+    error.statusCode = 403;
+    throw error;
+  }
+
+  this.status = toStatus;
+  this.statusHistory.push({
+    from: fromStatus,
+    to: toStatus,
+    changedBy: admin._id,
+    changedAt: new Date(),
+    note,
+  });
+
+  return this.save();
+};
+
+// Static method to mark media created before the workflow existed as published
+mediaSchema.statics.backfillStatus = async function () {
+  const result = await this.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: "published" } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`✅ Marked ${result.modifiedCount} existing media as published`);
+  }
+};
+
+mediaSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+mediaSchema.statics.STATUSES = Object.keys(STATUS_TRANSITIONS);
+// Statuses a new media item may be created with
+mediaSchema.statics.INITIAL_STATUSES = ["draft", "in-review", "published"];
+
+// Engagement events accepted from the public site and the counter each one bumps
+const ENGAGEMENT_EVENTS = {
+  click: "analytics.clicks",
+  share: "analytics.shares",
+  play: "analytics.plays",
+  "play-complete": "analytics.playCompletions",
+};
+
+// Networks a share event may be attributed to
+const SHARE_NETWORKS = [
+  "facebook",
+  "twitter",
+  "linkedin",
+  "whatsapp",
+  "pinterest",
+  "email",
+  "copy-link",
+  "other",
+];
+
+// Static method to record an engagement event atomically.
+// Resolves to the updated analytics, or null if no active media matches the id.
+mediaSchema.statics.recordEvent = async function (mediaId, eventType, data = {}) {
+  const field = ENGAGEMENT_EVENTS[eventType];
+  if (!field) {
+    throw new Error(`Unknown event type: ${eventType}`);
+  }
+
+  const increments = { [field]: 1 };
+  if (eventType === "share") {
+    const network = SHARE_NETWORKS.includes(data.network) ? data.network : "other";
+    increments[`analytics.sharesByNetwork.${network}`] = 1;
+  }
+
+  const media = await this.findOneAndUpdate(
+    { _id: mediaId, ...this.publicFilter() },
+    { $inc: increments },
+    { new: true, projection: { analytics: 1 } }
+  );
+
+  if (!media) return null;
+
+  await MediaAnalytics.record(media._id, { [field.replace("analytics.", "")]: 1 });
+
+  return media.analytics;
+};
+
+mediaSchema.statics.ENGAGEMENT_EVENTS = Object.keys(ENGAGEMENT_EVENTS);
+mediaSchema.statics.SHARE_NETWORKS = SHARE_NETWORKS;
+
+// Static method to resolve the hero image shown right now.
+// Candidates with a start and/or end date whose window contains `now` rotate
+// by weight. When none is live the default hero is used, then the most
+// recently updated unscheduled hero. Resolves to { media, source } or null.
+mediaSchema.statics.resolveHeroImage = async function (now = new Date()) {
+  const baseQuery = { isHeroImage: true, type: "image", ...this.publicFilter(now) };
+  const unscheduled = { "heroSchedule.startAt": null, "heroSchedule.endAt": null };
+
+  const candidates = await this.find({
+    ...baseQuery,
+    "heroSchedule.isDefault": { $ne: true },
+    $and: [
+      // Only heroes with an explicit window rotate
+      { $nor: [unscheduled] },
+      {
+        $or: [
+          { "heroSchedule.startAt": null },
+          { "heroSchedule.startAt": { $lte: now } },
+        ],
+      },
+      {
+        $or: [
+          { "heroSchedule.endAt": null },
+          { "heroSchedule.endAt": { $gt: now } },
+        ],
+      },
+    ],
+  });
+
+  if (candidates.length > 0) {
+    const weightOf = (media) =>
+      media.heroSchedule && media.heroSchedule.weight !== undefined
+        ? media.heroSchedule.weight
+        : 1;
+    const totalWeight = candidates.reduce((sum, media) => sum + weightOf(media), 0);
+
+    // All weights zero: fall back to the most recently updated candidate
+    if (totalWeight <= 0) {
+      candidates.sort((a, b) => b.updatedAt - a.updatedAt);
+      return { media: candidates[0], source: "scheduled" };
+    }
+
+    let pick = Math.random() * totalWeight;
+    for (const media of candidates) {
+      pick -= weightOf(media);
+      if (pick < 0) return { media, source: "scheduled" };
+    }
+    return { media: candidates[candidates.length - 1], source: "scheduled" };
+  }
+
+  const defaultHero = await this.findOne({
+    ...baseQuery,
+    "heroSchedule.isDefault": true,
+  });
+  if (defaultHero) return { media: defaultHero, source: "default" };
+
+  const latestHero = await this.findOne({ ...baseQuery, ...unscheduled }).sort({
+    updatedAt: -1,
+  });
+
+  return latestHero ? { media: latestHero, source: "latest" } : null;
+};
+
+// Static method to rewrite the manual order of a category (sortOrder) or of
+// the featured set (featuredOrder), so neither scrambles the other.
+// Listed ids take positions 0..n-1; the rest of the set keeps its relative
+// order after them. Resolves to the number of documents updated.
+mediaSchema.statics.reorder = async function (scope, orderedIds) {
+  const scopeQuery = scope.featured ? { isFeatured: true } : { category: scope.category };
+  const orderField = scope.featured ? "featuredOrder" : "sortOrder";
+
+  const remaining = await this.find({
+    ...scopeQuery,
+    _id: { $nin: orderedIds },
+  })
+    .select("_id")
+    .sort({ [orderField]: 1, createdAt: -1 })
+    .lean();
+
+  const ids = [...orderedIds.map(String), ...remaining.map((doc) => String(doc._id))];
+  if (ids.length === 0) return 0;
+
+  const result = await this.bulkWrite(
+    ids.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, ...scopeQuery },
+        update: { $set: { [orderField]: index } },
+      },
+    })),
+    { ordered: false }
+  );
+
+  return result.modifiedCount;
+};
+
+// Upload date used by the year filter and facet; older media only has createdAt
+const UPLOAD_DATE_EXPRESSION = { $ifNull: ["$uploadDate", "$createdAt"] };
+
+// Static method to build the filter used by searchMedia
+mediaSchema.statics.buildSearchQuery = function (query, options = {}) {
   const {
     type = null,
     category = null,
     tags = [],
     isActive = true,
     isFeatured = null,
-    limit = 20,
-    skip = 0,
-    sortBy = "createdAt",
-    sortOrder = -1,
+    year = null,
   } = options;
 
-  const searchQuery = { isActive };
+  // isActive: true means "publicly visible", null means any state
+  let searchQuery = {};
+  if (isActive === true) searchQuery = this.publicFilter();
+  else if (isActive !== null) searchQuery = { isActive };
 
   if (query) {
-    searchQuery.$or = [
-      { title: { $regex: query, $options: "i" } },
-      { description: { $regex: query, $options: "i" } },
-      { tags: { $in: [new RegExp(query, "i")] } },
-    ];
+    searchQuery.$text = { $search: query };
   }
 
   if (type) searchQuery.type = type;
   if (category) searchQuery.category = category;
   if (tags.length > 0) searchQuery.tags = { $in: tags };
   if (isFeatured !== null) searchQuery.isFeatured = isFeatured;
+  if (year) {
+    // Same date as the uploadYear facet, so legacy media without uploadDate match
+    searchQuery.$expr = { $eq: [{ $year: UPLOAD_DATE_EXPRESSION }, year] };
+  }
+
+  return searchQuery;
+};
+
+// Static method to search media
+mediaSchema.statics.searchMedia = function (query, options = {}) {
+  const {
+    limit = 20,
+    skip = 0,
+    sortBy = "createdAt",
+    sortOrder = -1,
+  } = options;
 
+  const searchQuery = this.buildSearchQuery(query, options);
+
+  // Relevance ranking is only meaningful for text searches
   const sortOptions = {};
-  sortOptions[sortBy] = sortOrder;
+  if (query && sortBy === "relevance") {
+    sortOptions.score = { $meta: "textScore" };
+  } else if (sortBy === "sortOrder" && options.isFeatured === true && !options.category) {
+    // The featured set has its own manual order
+    sortOptions.featuredOrder = sortOrder;
+  } else {
+    sortOptions[sortBy === "relevance" ? "createdAt" : sortBy] = sortOrder;
+  }
+  // Items without a manual position fall back to newest first
+  if (sortBy === "sortOrder") sortOptions.createdAt = -1;
 
-  return this.find(searchQuery)
-    .populate("uploadedBy", "username email")
+  const findQuery = this.find(searchQuery);
+  if (query) findQuery.select({ score: { $meta: "textScore" } });
+
+  return findQuery
+    .populate("uploadedBy", "username")
     .sort(sortOptions)
     .limit(limit)
     .skip(skip);
 };
 
+// Static method to get facet counts for a search, using the same filters as searchMedia
+mediaSchema.statics.getSearchFacets = async function (query, options = {}) {
+  const { tagLimit = 20 } = options;
+
+  const searchQuery = this.buildSearchQuery(query, options);
+
+  const [facets] = await this.aggregate([
+    { $match: searchQuery },
+    {
+      $facet: {
+        category: [
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        type: [
+          { $group: { _id: "$type", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        tags: [
+          { $unwind: "$tags" },
+          { $group: { _id: "$tags", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: tagLimit },
+        ],
+        isFeatured: [
+          { $group: { _id: "$isFeatured", count: { $sum: 1 } } },
+          { $sort: { _id: -1 } },
+        ],
+        uploadYear: [
+          {
+            $group: {
+              _id: { $year: UPLOAD_DATE_EXPRESSION },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  // Normalise buckets to { value, count }
+  const toBuckets = (buckets) =>
+    buckets.map((bucket) => ({ value: bucket._id, count: bucket.count }));
+
+  return {
+    category: toBuckets(facets.category),
+    type: toBuckets(facets.type),
+    tags: toBuckets(facets.tags),
+    isFeatured: toBuckets(facets.isFeatured),
+    uploadYear: facets.uploadYear.map((bucket) => ({
+      value: bucket._id,
+      from: new Date(Date.UTC(bucket._id, 0, 1)),
+      to: new Date(Date.UTC(bucket._id + 1, 0, 1)),
+      count: bucket.count,
+    })),
+  };
+};
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Static method to get autocomplete suggestions for a search prefix.
+// Matches the start of titles and tags, tags first.
+mediaSchema.statics.suggest = async function (prefix, options = {}) {
+  const { limit = 10, isActive = true } = options;
+
+  const term = prefix.trim().toLowerCase();
+  if (!term) return [];
+
+  let baseQuery = {};
+  if (isActive === true) baseQuery = this.publicFilter();
+  else if (isActive !== null) baseQuery = { isActive };
+  const prefixRegex = new RegExp(`^${escapeRegex(term)}`);
+
+  const [tagMatches, titleMatches] = await Promise.all([
+    this.aggregate([
+      { $match: { ...baseQuery, tags: prefixRegex } },
+      { $unwind: "$tags" },
+      { $match: { tags: prefixRegex } },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+    ]),
+    this.find({
+      ...baseQuery,
+      title: new RegExp(`^${escapeRegex(term)}`, "i"),
+    })
+      .select("title")
+      .sort({ viewCount: -1 })
+      .limit(limit)
+      .lean(),
+  ]);
+
+  const suggestions = [
+    ...tagMatches.map((tag) => ({ text: tag._id, kind: "tag", count: tag.count })),
+    ...titleMatches.map((media) => ({ text: media.title, kind: "title", id: media._id })),
+  ];
+
+  return suggestions.slice(0, limit);
+};
+
+mediaSchema.statics.escapeRegex = escapeRegex;
+
+// Normalise a tag the same way the schema stores it
+const normalizeTag = (tag) =>
+  String(tag).trim().toLowerCase().replace(/\s+/g, " ");
+
+// Static method to list every tag with the number of media items using it
+mediaSchema.statics.getTagCounts = function (options = {}) {
+  const { search = null, limit = 500 } = options;
+
+  const pipeline = [{ $unwind: "$tags" }];
+  if (search) {
+    pipeline.push({
+      $match: { tags: new RegExp(escapeRegex(normalizeTag(search))) },
+    });
+  }
+
+  pipeline.push(
+    {
+      $group: {
+        _id: "$tags",
+        count: { $sum: 1 },
+        activeCount: {
+          $sum: { $cond: [{ $eq: ["$isActive", true] }, 1, 0] },
+        },
+      },
+    },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: "$_id", count: 1, activeCount: 1 } }
+  );
+
+  return this.aggregate(pipeline);
+};
+
+// Static method to merge several tags into one across all media outside the trash.
+// Resolves to the number of media documents that changed.
+mediaSchema.statics.mergeTags = async function (sourceTags, targetTag) {
+  const target = normalizeTag(targetTag);
+  const sources = [...new Set(sourceTags.map(normalizeTag))].filter(
+    (tag) => tag && tag !== target
+  );
+
+  if (sources.length === 0) return 0;
+
+  // updateMany skips the trash hook, so leave trashed media out here to match
+  // getTagCounts. Add the target first so no document is left without it,
+  // then drop the sources.
+  await this.updateMany(
+    { tags: { $in: sources }, deletedAt: null },
+    { $addToSet: { tags: target } }
+  );
+  const result = await this.updateMany(
+    { tags: { $in: sources }, deletedAt: null },
+    { $pullAll: { tags: sources } }
+  );
+
+  return result.modifiedCount;
+};
+
+// Static method to rename a tag everywhere
+mediaSchema.statics.renameTag = function (oldTag, newTag) {
+  return this.mergeTags([oldTag], newTag);
+};
+
+// Static method to remove a tag from all media outside the trash
+mediaSchema.statics.removeTag = async function (tag) {
+  const result = await this.updateMany(
+    { tags: normalizeTag(tag), deletedAt: null },
+    { $pull: { tags: normalizeTag(tag) } }
+  );
+
+  return result.modifiedCount;
+};
+
+mediaSchema.statics.normalizeTag = normalizeTag;
+
 // Pre-save middleware
 mediaSchema.pre("save", async function (next) {
   // Auto-generate alt text if not provided
 
-  if (this.isHeroImage && this.type === 'image') {
-    // If this is being set as hero image, unset all others
+  if (!this.isHeroImage || this.type !== 'image') {
+    this.heroSchedule.isDefault = false;
+  }
+
+  if (this.heroSchedule.isDefault && this.isModified("heroSchedule.isDefault")) {
+    // Only one hero image can be the fallback default
     await this.constructor.updateMany(
-      { _id: { $ne: this._id } },
-      { isHeroImage: false }
+      { _id: { $ne: this._id }, "heroSchedule.isDefault": true },
+      { "heroSchedule.isDefault": false }
     );
   }
 
+  // A changed schedule has to be applied again by the scheduler
+  if (this.isModified("publishAt")) this.publishedAt = undefined;
+  if (this.isModified("unpublishAt")) this.unpublishedAt = undefined;
+
   if (this.type === "image" && !this.seo.altText) {
     this.seo.altText = this.title;
   }
@@ -307,20 +1223,56 @@ mediaSchema.post("save", function (doc) {
   console.log(`📄 Media saved: ${doc.title} (${doc.type})`);
 });
 
-// Pre-remove middleware for cleanup
+// Pre-remove middleware for cleanup (runs when media is purged for good)
 mediaSchema.pre(
   "deleteOne",
   { document: true, query: false },
   async function (next) {
     console.log(`🗑️ Removing media: ${this.title}`);
 
-    // Here you could add logic to delete files from cloud storage
-    // if (this.cloudinaryPublicId) {
-    //   await cloudinary.uploader.destroy(this.cloudinaryPublicId);
-    // }
+    // Delete the stored file; a failure aborts the purge so it can be retried
+    if (this.cloudinaryPublicId) {
+      await getStorage(this.storage).delete(this.cloudinaryPublicId, {
+        resourceType: this.type === "video" ? "video" : "image",
+      });
+      console.log(`Deleted from ${this.storage} storage:`, this.cloudinaryPublicId);
+    }
+
+    // Delete revision history and the older files it kept alive
+    await MediaRevision.purgeForMedia(this);
+
+    // Drop it from any projects that referenced it
+    await Project.updateMany({ media: this._id }, { $pull: { media: this._id } });
+    await Project.updateMany({ coverMedia: this._id }, { $unset: { coverMedia: 1 } });
 
     next();
   }
 );
 
+// Soft-deleted media is hidden from every query unless the filter mentions deletedAt
+const excludeDeleted = function () {
+  if (this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+};
+
+mediaSchema.pre(
+  ["find", "findOne", "findOneAndUpdate", "countDocuments", "distinct"],
+  excludeDeleted
+);
+
+mediaSchema.pre("aggregate", function () {
+  const pipeline = this.pipeline();
+  const firstStage = pipeline[0];
+
+  // $text has to stay in the first stage, so extend an existing $match
+  if (firstStage && firstStage.$match) {
+    if (firstStage.$match.deletedAt === undefined) {
+      firstStage.$match.deletedAt = null;
+    }
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
+
 module.exports = mongoose.model("Media", mediaSchema);
@@ -0,0 +1,180 @@
+const mongoose = require("mongoose");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Counters tracked per media item per day
+const COUNTER_FIELDS = [
+  "impressions",
+  "clicks",
+  "shares",
+  "plays",
+  "playCompletions",
+];
+
+// One document per media item per UTC day
+const mediaAnalyticsSchema = new mongoose.Schema(
+  {
+    media: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    impressions: { type: Number, default: 0 },
+    clicks: { type: Number, default: 0 },
+    shares: { type: Number, default: 0 },
+    plays: { type: Number, default: 0 },
+    playCompletions: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+mediaAnalyticsSchema.index({ media: 1, date: 1 }, { unique: true });
+mediaAnalyticsSchema.index({ date: 1 });
+
+// Truncate a date to the start of its UTC day
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Static method to increment today's counters for a media item
+mediaAnalyticsSchema.statics.record = function (mediaId, increments) {
+  return this.updateOne(
+    { media: mediaId, date: startOfDay() },
+    { $inc: increments },
+    { upsert: true }
+  );
+};
+
+// Static method to get daily trends over a date range.
+// groupBy: null (site-wide), "media", "category" or "type"
+mediaAnalyticsSchema.statics.getTrends = async function ({
+  from,
+  to,
+  groupBy = null,
+  mediaId = null,
+  limit = 20,
+}) {
+  const rangeStart = startOfDay(from);
+  const rangeEnd = startOfDay(to);
+
+  const match = { date: { $gte: rangeStart, $lte: rangeEnd } };
+  if (mediaId) match.media = new mongoose.Types.ObjectId(mediaId);
+
+  const sums = {};
+  COUNTER_FIELDS.forEach((field) => {
+    sums[field] = { $sum: `$${field}` };
+  });
+
+  const pipeline = [{ $match: match }];
+  let groupKey = null;
+
+  if (groupBy === "media") {
+    groupKey = "$media";
+  } else if (groupBy === "category" || groupBy === "type") {
+    pipeline.push(
+      {
+        $lookup: {
+          from: mongoose.model("Media").collection.name,
+          localField: "media",
+          foreignField: "_id",
+          as: "mediaDoc",
+        },
+      },
+      { $unwind: "$mediaDoc" }
+    );
+    groupKey = `$mediaDoc.${groupBy}`;
+  }
+
+  pipeline.push(
+    { $group: { _id: { key: groupKey, date: "$date" }, ...sums } },
+    { $sort: { "_id.date": 1 } },
+    {
+      $group: {
+        _id: "$_id.key",
+        ...sums,
+        series: {
+          $push: {
+            date: "$_id.date",
+            ...COUNTER_FIELDS.reduce((acc, field) => {
+              acc[field] = `$${field}`;
+              return acc;
+            }, {}),
+          },
+        },
+      },
+    },
+    { $sort: { impressions: -1 } },
+    { $limit: limit }
+  );
+
+  if (groupBy === "media") {
+    pipeline.push(
+      {
+        $lookup: {
+          from: mongoose.model("Media").collection.name,
+          localField: "_id",
+          foreignField: "_id",
+          as: "media",
+        },
+      },
+      { $unwind: { path: "$media", preserveNullAndEmptyArrays: true } },
+      {
+        $addFields: {
+          media: {
+            title: "$media.title",
+            type: "$media.type",
+            category: "$media.category",
+          },
+        },
+      }
+    );
+  }
+
+  return this.aggregate(pipeline);
+};
+
+// Static method to sum counters over a date range (inclusive)
+mediaAnalyticsSchema.statics.getTotals = async function ({
+  from,
+  to,
+  mediaId = null,
+}) {
+  const match = {
+    date: { $gte: startOfDay(from), $lte: startOfDay(to) },
+  };
+  if (mediaId) match.media = new mongoose.Types.ObjectId(mediaId);
+
+  const sums = {};
+  COUNTER_FIELDS.forEach((field) => {
+    sums[field] = { $sum: `$${field}` };
+  });
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    { $group: { _id: null, ...sums } },
+    { $project: { _id: 0 } },
+  ]);
+
+  return (
+    result ||
+    COUNTER_FIELDS.reduce((acc, field) => {
+      acc[field] = 0;
+      return acc;
+    }, {})
+  );
+};
+
+mediaAnalyticsSchema.statics.COUNTER_FIELDS = COUNTER_FIELDS;
+mediaAnalyticsSchema.statics.DAY_MS = DAY_MS;
+mediaAnalyticsSchema.statics.startOfDay = startOfDay;
+
+module.exports = mongoose.model("MediaAnalytics", mediaAnalyticsSchema);
@@ -0,0 +1,245 @@
+const mongoose = require("mongoose");
+const { getStorage } = require("../storage");
+
+// Media fields captured in every revision
+const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "type",
+  "url",
+  "thumbnailUrl",
+  "cloudinaryPublicId",
+  "storage",
+  "fileSize",
+  "mimeType",
+  "dimensions",
+  "duration",
+  "contentHash",
+  "perceptualHash",
+  "tags",
+  "category",
+  "isActive",
+  "isFeatured",
+  "isHeroImage",
+  "heroSchedule",
+  "publishAt",
+  "unpublishAt",
+  "metadata",
+  "seo",
+  "status",
+];
+
+// Tracked for history and diffs, but never restored by a revert: status
+// changes must go through the editorial workflow (Media.transitionStatus)
+const UNRESTORED_FIELDS = ["status"];
+
+// A snapshot of a media item after one change
+const mediaRevisionSchema = new mongoose.Schema(
+  {
+    media: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+      required: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    changedFields: [String],
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+mediaRevisionSchema.index({ media: 1, revision: -1 }, { unique: true });
+mediaRevisionSchema.index({ "snapshot.cloudinaryPublicId": 1 });
+
+// Static method to take a plain snapshot of the tracked fields of a media item
+mediaRevisionSchema.statics.snapshot = function (media) {
+  const plain = media.toObject({ depopulate: true });
+  return TRACKED_FIELDS.reduce((acc, field) => {
+    acc[field] = plain[field] === undefined ? null : plain[field];
+    return acc;
+  }, {});
+};
+
+// Static method to list the fields that differ between two snapshots
+mediaRevisionSchema.statics.diffSnapshots = function (from, to) {
+  return TRACKED_FIELDS.filter(
+    (field) => JSON.stringify(from[field]) !== JSON.stringify(to[field])
+  );
+};
+
+// Static method to record a revision for a media item.
+// `before` is the snapshot taken before the change; media without any
+// revision yet gets it stored as a baseline first. Resolves to the new
+// revision, or null when nothing changed.
+mediaRevisionSchema.statics.record = async function (
+  media,
+  admin,
+  { before = null, note } = {}
+) {
+  const after = this.snapshot(media);
+  const latest = await this.findOne({ media: media._id })
+    .sort({ revision: -1 })
+    .select("revision");
+
+  let nextRevision = latest ? latest.revision + 1 : 1;
+
+  if (!latest && before) {
+    await this.create({
+      media: media._id,
+      revision: nextRevision,
+      snapshot: before,
+      changedFields: [],
+      note: "Baseline",
+    });
+    nextRevision += 1;
+  }
+
+  const changedFields = before ? this.diffSnapshots(before, after) : [];
+  if (before && changedFields.length === 0) return null;
+
+  const revision = await this.create({
+    media: media._id,
+    revision: nextRevision,
+    snapshot: after,
+    changedFields,
+    changedBy: admin ? admin._id : undefined,
+    note: note ? note.slice(0, 200) : before ? undefined : "Created",
+  });
+
+  await this.prune(media);
+
+  return revision;
+};
+
+// Static method to record revisions around a bulk update. Snapshots the media
+// matching `filter` (trashed items too, as they may be restored, unless the
+// filter itself says which deletedAt to match), runs
+// `applyUpdate`, then records one revision per changed item.
+// Resolves to whatever `applyUpdate` resolves to.
+mediaRevisionSchema.statics.recordBulkUpdate = async function (
+  filter,
+  applyUpdate,
+  admin,
+  { note } = {}
+) {
+  const Media = mongoose.model("Media");
+  const findAll = async (query) => {
+    if (query.deletedAt !== undefined) return Media.find(query);
+
+    const [live, trashed] = await Promise.all([
+      Media.find(query),
+      Media.find({ ...query, deletedAt: { $ne: null } }),
+    ]);
+    return [...live, ...trashed];
+  };
+
+  const before = new Map(
+    (await findAll(filter)).map((media) => [String(media._id), this.snapshot(media)])
+  );
+
+  const result = await applyUpdate();
+
+  if (before.size > 0) {
+    const updated = await findAll({ _id: { $in: [...before.keys()] } });
+    for (const media of updated) {
+      await this.record(media, admin, { before: before.get(String(media._id)), note });
+    }
+  }
+
+  return result;
+};
+
+// Static method to destroy a stored file unless something still references it
+mediaRevisionSchema.statics.releaseAsset = async function (
+  publicId,
+  type,
+  currentPublicId,
+  storage
+) {
+  if (!publicId || publicId === currentPublicId) return false;
+
+  const stillReferenced = await this.exists({
+    "snapshot.cloudinaryPublicId": publicId,
+  });
+  if (stillReferenced) return false;
+
+  // Revisions from before pluggable storage were all on Cloudinary
+  await getStorage(storage || "cloudinary").delete(publicId, {
+    resourceType: type === "video" ? "video" : "image",
+  });
+  console.log("Deleted retained file from storage:", publicId);
+  return true;
+};
+
+// Static method to drop revisions beyond the retention limit, releasing the
+// files only those revisions referenced
+mediaRevisionSchema.statics.prune = async function (
+  media,
+  keep = parseInt(process.env.MEDIA_REVISION_LIMIT) || 20
+) {
+  const stale = await this.find({ media: media._id })
+    .sort({ revision: -1 })
+    .skip(keep);
+
+  if (stale.length === 0) return 0;
+
+  await this.deleteMany({ _id: { $in: stale.map((rev) => rev._id) } });
+
+  for (const rev of stale) {
+    try {
+      await this.releaseAsset(
+        rev.snapshot.cloudinaryPublicId,
+        rev.snapshot.type,
+        media.cloudinaryPublicId,
+        rev.snapshot.storage
+      );
+    } catch (error) {
+      console.error("Error deleting retained file:", error);
+    }
+  }
+
+  return stale.length;
+};
+
+// Static method to delete every revision of a media item and the files
+// they retained (used when the media itself is purged)
+mediaRevisionSchema.statics.purgeForMedia = async function (media) {
+  const revisions = await this.find({ media: media._id });
+  await this.deleteMany({ media: media._id });
+
+  // Several revisions usually share one file; release each file once
+  const assets = new Map();
+  revisions.forEach((rev) => {
+    if (rev.snapshot.cloudinaryPublicId) {
+      assets.set(rev.snapshot.cloudinaryPublicId, rev.snapshot);
+    }
+  });
+
+  for (const [publicId, { type, storage }] of assets) {
+    await this.releaseAsset(publicId, type, media.cloudinaryPublicId, storage);
+  }
+};
+
+mediaRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+mediaRevisionSchema.statics.UNRESTORED_FIELDS = UNRESTORED_FIELDS;
+
+module.exports = mongoose.model("MediaRevision", mediaRevisionSchema);
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// One document per (media, visitor) pair while the de-duplication window is open.
+// Expired documents are removed by MongoDB through the TTL index on expiresAt.
+const mediaViewSchema = new mongoose.Schema({
+  media: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Media",
+    required: true,
+  },
+  visitorHash: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Indexes
+mediaViewSchema.index({ media: 1, visitorHash: 1 }, { unique: true });
+mediaViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to record a view. Resolves to true when the view should be
+// counted, false when this visitor already viewed the item inside the window.
+mediaViewSchema.statics.recordView = async function (
+  mediaId,
+  visitorHash,
+  windowMs
+) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + windowMs);
+
+  // The TTL monitor only runs every minute, so re-open stale windows ourselves
+  const reopened = await this.updateOne(
+    { media: mediaId, visitorHash, expiresAt: { $lte: now } },
+    { $set: { expiresAt } }
+  );
+
+  if (reopened.modifiedCount > 0) return true;
+
+  try {
+    await this.create({ media: mediaId, visitorHash, expiresAt });
+    return true;
+  } catch (error) {
+    // Duplicate key: an open window already exists for this visitor
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model("MediaView", mediaViewSchema);
@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+
+// Turn a title into a URL-friendly slug
+const slugify = (text) =>
+  String(text)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+
+const creditSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      required: [true, "Credit role is required"],
+      trim: true,
+      maxlength: [100, "Credit role must be less than 100 characters"],
+    },
+    name: {
+      type: String,
+      required: [true, "Credit name is required"],
+      trim: true,
+      maxlength: [100, "Credit name must be less than 100 characters"],
+    },
+  },
+  { _id: false }
+);
+
+// A production (film, series, campaign) grouping media into a case study
+const projectSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [150, "Title must be less than 150 characters"],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        "Slug can only contain lowercase letters, numbers and single hyphens",
+      ],
+    },
+    client: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Client must be less than 100 characters"],
+    },
+    year: {
+      type: Number,
+      min: [1900, "Year must be 1900 or later"],
+      max: [2100, "Year must be 2100 or earlier"],
+    },
+    role: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Role must be less than 200 characters"],
+    },
+    synopsis: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Synopsis must be less than 2000 characters"],
+    },
+    credits: [creditSchema],
+    // Ordered list of media shown on the case-study page
+    media: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Media",
+      },
+    ],
+    coverMedia: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+    },
+    coverImageUrl: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    isFeatured: {
+      type: Boolean,
+      default: false,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+projectSchema.index({ isActive: 1, year: -1 });
+projectSchema.index({ client: 1 });
+projectSchema.index({ media: 1 });
+
+// Generate a slug from the title when none was given
+projectSchema.pre("validate", function (next) {
+  if (!this.slug && this.title) {
+    this.slug = slugify(this.title);
+  }
+  next();
+});
+
+// Static method to find the active projects a media item belongs to
+projectSchema.statics.findByMedia = function (mediaId) {
+  return this.find({ media: mediaId, isActive: true });
+};
+
+projectSchema.statics.slugify = slugify;
+
+module.exports = mongoose.model("Project", projectSchema);
@@ -0,0 +1,163 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const uploadConfig = require("../config/uploads");
+
+// A resumable chunked upload in progress
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    uploadId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    fileName: {
+      type: String,
+      required: [true, "File name is required"],
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: [true, "MIME type is required"],
+    },
+    totalSize: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    chunkSize: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    totalChunks: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    receivedChunks: [Number],
+    // Optional SHA-256 of the whole file, checked after assembly
+    checksum: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    // What completion does when the file exactly matches existing media
+    duplicatePolicy: {
+      type: String,
+      enum: ["warn", "reject"],
+      default: "warn",
+    },
+    // Media fields (title, category, tags...) applied on completion
+    mediaFields: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["uploading", "completing", "completed"],
+      default: "uploading",
+    },
+    media: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Directory holding this session's chunks
+uploadSessionSchema.methods.stagingPath = function () {
+  return path.join(uploadConfig.stagingDir, this.uploadId);
+};
+
+// Path of one staged chunk
+uploadSessionSchema.methods.chunkPath = function (index) {
+  return path.join(this.stagingPath(), `${index}.part`);
+};
+
+// Expected byte length of a chunk (the last one may be shorter)
+uploadSessionSchema.methods.expectedChunkSize = function (index) {
+  if (index < this.totalChunks - 1) return this.chunkSize;
+  return this.totalSize - this.chunkSize * (this.totalChunks - 1);
+};
+
+// Bytes received contiguously from the start of the file (where to resume)
+uploadSessionSchema.methods.receivedOffset = function () {
+  const received = new Set(this.receivedChunks);
+  let offset = 0;
+  for (let index = 0; index < this.totalChunks && received.has(index); index++) {
+    offset += this.expectedChunkSize(index);
+  }
+  return offset;
+};
+
+// Chunk indexes not received yet
+uploadSessionSchema.methods.missingChunks = function () {
+  const received = new Set(this.receivedChunks);
+  const missing = [];
+  for (let index = 0; index < this.totalChunks; index++) {
+    if (!received.has(index)) missing.push(index);
+  }
+  return missing;
+};
+
+// Join the staged chunks into one file, hashing it on the way.
+// Resolves to the SHA-256 of the assembled file.
+uploadSessionSchema.methods.assembleChunks = async function (targetPath) {
+  const hash = crypto.createHash("sha256");
+  const output = fs.createWriteStream(targetPath);
+
+  try {
+    for (let index = 0; index < this.totalChunks; index++) {
+      const input = fs.createReadStream(this.chunkPath(index));
+      input.on("data", (chunk) => hash.update(chunk));
+      await pipeline(input, output, { end: false });
+    }
+    await new Promise((resolve, reject) =>
+      output.end((error) => (error ? reject(error) : resolve()))
+    );
+  } catch (error) {
+    output.destroy();
+    throw error;
+  }
+
+  return hash.digest("hex");
+};
+
+// Delete the staged chunks from disk
+uploadSessionSchema.methods.removeStagedFiles = function () {
+  return fs.promises.rm(this.stagingPath(), { recursive: true, force: true });
+};
+
+// Static method to expire abandoned sessions and their staged chunks
+// (completing a session pushes its expiry out, so only stale ones match).
+// Resolves to the number of sessions removed.
+uploadSessionSchema.statics.cleanupExpired = async function (now = new Date()) {
+  const expired = await this.find({ expiresAt: { $lte: now } });
+
+  for (const session of expired) {
+    await session.removeStagedFiles();
+    await session.deleteOne();
+  }
+
+  return expired.length;
+};
+
+module.exports = mongoose.model("UploadSession", uploadSessionSchema);
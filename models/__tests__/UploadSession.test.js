@@ -0,0 +1,94 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), "upload-session-test-"));
+process.env.UPLOAD_STAGING_DIR = stagingDir;
+
+const UploadSession = require("../UploadSession");
+
+// A 10-byte file sent in 4-byte chunks: 4 + 4 + 2
+const buildSession = (receivedChunks = []) =>
+  new UploadSession({
+    uploadId: crypto.randomUUID(),
+    fileName: "clip.mp4",
+    mimeType: "video/mp4",
+    totalSize: 10,
+    chunkSize: 4,
+    totalChunks: 3,
+    receivedChunks,
+    expiresAt: new Date(),
+  });
+
+afterAll(() => {
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+});
+
+describe("expectedChunkSize", () => {
+  test.each([
+    [0, 4],
+    [1, 4],
+    [2, 2],
+  ])("chunk %i is %i bytes", (index, size) => {
+    expect(buildSession().expectedChunkSize(index)).toBe(size);
+  });
+
+  test("a file that divides evenly has a full last chunk", () => {
+    const session = buildSession();
+    session.totalSize = 12;
+
+    expect(session.expectedChunkSize(2)).toBe(4);
+  });
+});
+
+describe("receivedOffset and missingChunks", () => {
+  test.each([
+    [[], 0, [0, 1, 2]],
+    [[0], 4, [1, 2]],
+    // Out of order: the offset stops at the first gap
+    [[2], 0, [0, 1]],
+    [[0, 2], 4, [1]],
+    // Duplicates count once
+    [[1, 0, 1, 0], 8, [2]],
+    [[2, 0, 1], 10, []],
+  ])("received %j resumes at %i, missing %j", (received, offset, missing) => {
+    const session = buildSession(received);
+
+    expect(session.receivedOffset()).toBe(offset);
+    expect(session.missingChunks()).toEqual(missing);
+  });
+});
+
+describe("assembleChunks", () => {
+  test("joins the chunks in index order and hashes the result", async () => {
+    const session = buildSession([0, 1, 2]);
+    const data = Buffer.from("pixelarts!");
+    fs.mkdirSync(session.stagingPath(), { recursive: true });
+    // Written out of order, as chunks may arrive
+    [2, 0, 1].forEach((index) =>
+      fs.writeFileSync(session.chunkPath(index), data.subarray(index * 4, index * 4 + 4))
+    );
+
+    const target = path.join(session.stagingPath(), "assembled.mp4");
+    const checksum = await session.assembleChunks(target);
+
+    expect(fs.readFileSync(target)).toEqual(data);
+    expect(checksum).toBe(crypto.createHash("sha256").update(data).digest("hex"));
+
+    await session.removeStagedFiles();
+    expect(fs.existsSync(session.stagingPath())).toBe(false);
+  });
+
+  test("fails when a chunk is missing on disk", async () => {
+    const session = buildSession([0, 1, 2]);
+    fs.mkdirSync(session.stagingPath(), { recursive: true });
+    fs.writeFileSync(session.chunkPath(0), "pixe");
+
+    await expect(
+      session.assembleChunks(path.join(session.stagingPath(), "assembled.mp4"))
+    ).rejects.toMatchObject({ code: "ENOENT" });
+
+    await session.removeStagedFiles();
+  });
+});
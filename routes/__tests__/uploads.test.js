@@ -0,0 +1,170 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const mongoose = require("mongoose");
+const request = require("supertest");
+
+const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-route-test-"));
+process.env.UPLOAD_STAGING_DIR = stagingDir;
+
+const mockAdmin = { _id: new mongoose.Types.ObjectId(), role: "admin" };
+
+jest.mock("../../middleware/auth", () => ({
+  verifyToken: (req, res, next) => {
+    req.admin = mockAdmin;
+    next();
+  },
+  requireAdmin: (req, res, next) => next(),
+}));
+
+const UploadSession = require("../../models/UploadSession");
+const uploadRoutes = require("../uploads");
+
+const app = express();
+app.use(express.json());
+app.use("/api/media/uploads", uploadRoutes);
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+// A 10-byte file in 4-byte chunks: 4 + 4 + 2
+const file = Buffer.from("pixelarts!");
+const chunk = (index) => file.subarray(index * 4, index * 4 + 4);
+
+describe("chunked uploads", () => {
+  let session;
+
+  const putChunk = (index, data = chunk(index), checksum = sha256(data)) =>
+    request(app)
+      .put(`/api/media/uploads/${session.uploadId}/chunks/${index}`)
+      .set("Content-Type", "application/octet-stream")
+      .set("X-Chunk-Checksum", checksum)
+      .send(data);
+
+  beforeEach(() => {
+    session = new UploadSession({
+      uploadId: crypto.randomUUID(),
+      admin: mockAdmin._id,
+      fileName: "clip.mp4",
+      mimeType: "video/mp4",
+      totalSize: file.length,
+      chunkSize: 4,
+      totalChunks: 3,
+      expiresAt: new Date(Date.now() + 60 * 1000),
+    });
+
+    // The session lives in memory; the queries behave like the database would
+    jest.spyOn(UploadSession, "findOne").mockImplementation(async (filter) =>
+      filter.uploadId === session.uploadId && String(filter.admin) === String(session.admin)
+        ? session
+        : null
+    );
+    jest.spyOn(UploadSession, "findOneAndUpdate").mockImplementation(async (filter, update) => {
+      if (filter.status && filter.status !== session.status) return null;
+      if (update.$addToSet) session.receivedChunks.addToSet(update.$addToSet.receivedChunks);
+      if (update.$set) session.set(update.$set);
+      return session;
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await session.removeStagedFiles();
+  });
+
+  afterAll(() => {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  });
+
+  test("accepts chunks out of order and resumes from the first gap", async () => {
+    let res = await putChunk(2);
+    expect(res.status).toBe(200);
+    expect(res.body.data.upload).toMatchObject({
+      receivedChunks: [2],
+      missingChunks: [0, 1],
+      receivedOffset: 0,
+    });
+
+    res = await putChunk(0);
+    expect(res.body.data.upload).toMatchObject({
+      receivedChunks: [0, 2],
+      missingChunks: [1],
+      receivedOffset: 4,
+    });
+    expect(fs.readFileSync(session.chunkPath(2))).toEqual(chunk(2));
+  });
+
+  test("takes a resent chunk without counting it twice", async () => {
+    await putChunk(0);
+    const res = await putChunk(0);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.upload.receivedChunks).toEqual([0]);
+    expect(fs.readFileSync(session.chunkPath(0))).toEqual(chunk(0));
+  });
+
+  test("refuses a short chunk", async () => {
+    const res = await putChunk(1, chunk(1).subarray(0, 3));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Chunk 1 must be 4 bytes, got 3");
+    expect(session.receivedChunks).toHaveLength(0);
+  });
+
+  test("expects the final chunk to hold only the remaining bytes", async () => {
+    const tooLong = await putChunk(2, Buffer.from("s!!!"));
+    expect(tooLong.status).toBe(400);
+    expect(tooLong.body.message).toBe("Chunk 2 must be 2 bytes, got 4");
+
+    await putChunk(0);
+    await putChunk(1);
+    const res = await putChunk(2);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.upload).toMatchObject({
+      missingChunks: [],
+      receivedOffset: file.length,
+    });
+  });
+
+  test("refuses a chunk whose checksum doesn't match", async () => {
+    const res = await putChunk(0, chunk(0), sha256("something else"));
+
+    expect(res.status).toBe(422);
+    expect(fs.existsSync(session.chunkPath(0))).toBe(false);
+  });
+
+  test("refuses an index past the last chunk", async () => {
+    const res = await putChunk(3, chunk(0));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Chunk index must be below 3");
+  });
+
+  test("refuses chunks once the upload is completing", async () => {
+    session.status = "completing";
+
+    const res = await putChunk(0);
+
+    expect(res.status).toBe(409);
+  });
+
+  test("won't complete while chunks are missing", async () => {
+    await putChunk(0);
+
+    const res = await request(app).post(`/api/media/uploads/${session.uploadId}/complete`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("2 chunks are still missing");
+    expect(res.body.data.upload.missingChunks).toEqual([1, 2]);
+  });
+
+  test("hides sessions of other admins", async () => {
+    session.admin = new mongoose.Types.ObjectId();
+
+    const res = await request(app).get(`/api/media/uploads/${session.uploadId}`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -1,7 +1,13 @@
 const express = require("express");
-const { query } = require("express-validator");
+const { query, body, param, validationResult } = require("express-validator");
 const Admin = require("../models/Admin");
 const Media = require("../models/Media");
+const Category = require("../models/Category");
+const Project = require("../models/Project");
+const MediaAnalytics = require("../models/MediaAnalytics");
+const MediaRevision = require("../models/MediaRevision");
+const { getRetentionDays } = require("../jobs/trashRetention");
+const { buildVariants } = require("../storage/variants");
 const { verifyToken, requireSuperAdmin } = require("../middleware/auth");
 
 const router = express.Router();
@@ -149,6 +155,62 @@ router.put(
   }
 );
 
+// @route   PUT /api/admin/admins/:id/permissions
+// @desc    Set an admin's extra permissions (e.g. approve-media)
+// @access  Private (Superadmin only)
+router.put(
+  "/admins/:id/permissions",
+  [
+    param("id").isMongoId().withMessage("Invalid admin ID"),
+    body("permissions").isArray().withMessage("Permissions must be a list"),
+    body("permissions.*")
+      .isIn(["approve-media"])
+      .withMessage("Unknown permission"),
+  ],
+  verifyToken,
+  requireSuperAdmin,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
+      const admin = await Admin.findByIdAndUpdate(
+        req.params.id,
+        {
+          permissions: [...new Set(req.body.permissions)],
+          updatedAt: Date.now(),
+        },
+        { new: true, select: "-password" }
+      );
+
+      if (!admin) {
+        return res.status(404).json({
+          success: false,
+          message: "Admin not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Admin permissions updated successfully",
+        data: { admin },
+      });
+    } catch (error) {
+      console.error("Update admin permissions error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
 // @route   DELETE /api/admin/admins/:id
 // @desc    Delete admin (superadmin only)
 // @access  Private (Superadmin only)
@@ -212,33 +274,34 @@ router.get(
     query("page").optional().isInt({ min: 1 }),
     query("limit").optional().isInt({ min: 1, max: 100 }),
     query("type").optional().isIn(["image", "video"]),
-    query("category")
-      .optional()
-      .isIn([
-        "showreel",
-        "ai-generation",
-        "movies",
-        "series",
-        "posters",
-        "portfolio",
-        "demo",
-        "tutorial",
-        "behind-scenes",
-      ]),
+    query("category").optional().isSlug(),
     query("isActive").optional().isBoolean(),
+    query("schedule").optional().isIn(["scheduled", "live", "expired"]),
+    query("status").optional().isIn(Media.STATUSES),
     query("search").optional().isLength({ max: 100 }),
   ],
   verifyToken,
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
       const {
         page = 1,
         limit = 20,
         type,
         category,
         isActive,
+        schedule,
+        status,
         search,
-        sortBy = "createdAt",
+        sortBy = search ? "relevance" : "createdAt",
         sortOrder = "desc",
       } = req.query;
 
@@ -248,22 +311,32 @@ router.get(
       if (type) query.type = type;
       if (category) query.category = category;
       if (isActive !== undefined) query.isActive = isActive === "true";
+      if (status) query.status = status;
+
+      // Release window: not yet published, currently public, or past unpublishAt
+      const now = new Date();
+      if (schedule === "scheduled") query.publishAt = { $gt: now };
+      if (schedule === "live") Object.assign(query, Media.publicFilter(now));
+      if (schedule === "expired") query.unpublishAt = { $lte: now };
 
       if (search) {
-        query.$or = [
-          { title: { $regex: search, $options: "i" } },
-          { description: { $regex: search, $options: "i" } },
-        ];
+        query.$text = { $search: search };
       }
 
-      // Sort options
+      // Sort options (relevance only applies to text searches)
       const sortOptions = {};
-      sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+      if (search && sortBy === "relevance") {
+        sortOptions.score = { $meta: "textScore" };
+      } else {
+        sortOptions[sortBy === "relevance" ? "createdAt" : sortBy] =
+          sortOrder === "desc" ? -1 : 1;
+      }
 
       const skip = (page - 1) * limit;
 
       const [media, total] = await Promise.all([
         Media.find(query)
+          .select(search ? { score: { $meta: "textScore" } } : {})
           .populate("uploadedBy", "username email")
           .sort(sortOptions)
           .skip(skip)
@@ -295,35 +368,287 @@ router.get(
   }
 );
 
-// @route   PUT /api/admin/media/:id/toggle-status
-// @desc    Toggle media active status
+// @route   GET /api/admin/media/suggest
+// @desc    Autocomplete suggestions across all media, including inactive
 // @access  Private (Admin only)
-router.put("/media/:id/toggle-status", verifyToken, async (req, res) => {
-  try {
-    const media = await Media.findById(req.params.id);
+router.get(
+  "/media/suggest",
+  [
+    query("q").trim().notEmpty().isLength({ max: 50 }),
+    query("limit").optional().isInt({ min: 1, max: 20 }),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
 
-    if (!media) {
-      return res.status(404).json({
+      const suggestions = await Media.suggest(req.query.q, {
+        limit: parseInt(req.query.limit) || 10,
+        isActive: null,
+      });
+
+      res.json({
+        success: true,
+        data: { suggestions },
+      });
+    } catch (error) {
+      console.error("Get admin suggestions error:", error);
+      res.status(500).json({
         success: false,
-        message: "Media not found",
+        message: "Internal server error",
       });
     }
+  }
+);
 
-    media.isActive = !media.isActive;
-    media.updatedAt = Date.now();
-    await media.save();
+// Update applied by each bulk action; `value` is validated before use
+const BULK_ACTIONS = {
+  activate: () => ({ $set: { isActive: true } }),
+  deactivate: () => ({ $set: { isActive: false } }),
+  feature: () => ({ $set: { isFeatured: true } }),
+  unfeature: () => ({ $set: { isFeatured: false } }),
+  "set-category": (value) => ({ $set: { category: value } }),
+  "add-tags": (value) => ({ $addToSet: { tags: { $each: value } } }),
+  "remove-tags": (value) => ({ $pullAll: { tags: value } }),
+  delete: (value, admin) => ({
+    $set: { deletedAt: new Date(), deletedBy: admin._id },
+  }),
+};
 
-    await media.populate("uploadedBy", "username");
+// @route   GET /api/admin/media/duplicates
+// @desc    Clusters of exact (same file) and near-duplicate (similar image) media
+// @access  Private (Admin only)
+router.get(
+  "/media/duplicates",
+  [query("maxDistance").optional().isInt({ min: 0, max: 32 })],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const options = {};
+      if (req.query.maxDistance !== undefined) {
+        options.maxDistance = parseInt(req.query.maxDistance);
+      }
+
+      const { exact, near } = await Media.getDuplicateClusters(options);
+
+      res.json({
+        success: true,
+        data: {
+          exact,
+          near,
+          summary: {
+            exactClusters: exact.length,
+            exactItems: exact.reduce((sum, cluster) => sum + cluster.count, 0),
+            nearClusters: near.length,
+            nearItems: near.reduce((sum, cluster) => sum + cluster.count, 0),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get duplicate media error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/media/bulk
+// @desc    Apply one action to many media items, reporting the result per id
+// @access  Private (Admin only)
+router.post(
+  "/media/bulk",
+  [
+    body("ids")
+      .isArray({ min: 1, max: 500 })
+      .withMessage("ids must be a list of 1-500 media IDs"),
+    body("ids.*").isMongoId().withMessage("ids must contain valid media IDs"),
+    body("action")
+      .isIn(Object.keys(BULK_ACTIONS))
+      .withMessage(`Action must be one of: ${Object.keys(BULK_ACTIONS).join(", ")}`),
+    body("value")
+      .if(body("action").equals("set-category"))
+      .isSlug()
+      .withMessage("value must be a category slug"),
+    body("value")
+      .if(body("action").isIn(["add-tags", "remove-tags"]))
+      .notEmpty()
+      .withMessage("value must be a list of tags"),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
+      const { action } = req.body;
+      const ids = [...new Set(req.body.ids.map(String))];
+      let { value } = req.body;
+
+      // Validate the action's value before touching anything
+      if (action === "set-category") {
+        value = value.toLowerCase();
+        if (!(await Category.slugExists(value))) {
+          return res.status(400).json({
+            success: false,
+            message: `Category "${value}" does not exist`,
+          });
+        }
+      }
+
+      if (action === "add-tags" || action === "remove-tags") {
+        value = (Array.isArray(value) ? value : String(value).split(","))
+          .map(Media.normalizeTag)
+          .filter((tag) => tag);
+
+        if (value.length === 0) {
+          return res.status(400).json({
+            success: false,
+            message: "value must contain at least one tag",
+          });
+        }
+      }
+
+      const existing = await Media.find({ _id: { $in: ids } });
+      const existingIds = new Set(existing.map((media) => String(media._id)));
+
+      const failed = ids
+        .filter((id) => !existingIds.has(id))
+        .map((id) => ({ id, error: "Media not found" }));
+      const targetIds = ids.filter((id) => existingIds.has(id));
+
+      // Apply everything in one batch; a failed write doesn't stop the others
+      const update = BULK_ACTIONS[action](value, req.admin);
+      const writeFailures = new Map();
+
+      if (targetIds.length > 0) {
+        try {
+          await Media.bulkWrite(
+            targetIds.map((id) => ({
+              updateOne: { filter: { _id: id, deletedAt: null }, update },
+            })),
+            { ordered: false }
+          );
+        } catch (bulkError) {
+          if (!bulkError.writeErrors) throw bulkError;
+          bulkError.writeErrors.forEach((writeError) => {
+            writeFailures.set(targetIds[writeError.index], writeError.errmsg);
+          });
+        }
+      }
+
+      writeFailures.forEach((error, id) => failed.push({ id, error }));
+      const succeeded = targetIds.filter((id) => !writeFailures.has(id));
+
+      // Keep the revision history in step (trashing is not a content change)
+      if (action !== "delete" && succeeded.length > 0) {
+        const beforeById = new Map(
+          existing.map((media) => [String(media._id), MediaRevision.snapshot(media)])
+        );
+        const updated = await Media.find({ _id: { $in: succeeded } });
+
+        for (const media of updated) {
+          await MediaRevision.record(media, req.admin, {
+            before: beforeById.get(String(media._id)),
+            note: `Bulk ${action}`,
+          });
+        }
+      }
+
+      res.json({
+        success: true,
+        message: `${action} applied to ${succeeded.length} of ${ids.length} media items`,
+        data: {
+          action,
+          summary: {
+            requested: ids.length,
+            succeeded: succeeded.length,
+            failed: failed.length,
+          },
+          succeeded,
+          failed,
+        },
+      });
+    } catch (error) {
+      console.error("Bulk media error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/hero-images
+// @desc    List hero candidates with their schedule and whether they are live
+// @access  Private (Admin only)
+router.get("/hero-images", verifyToken, async (req, res) => {
+  try {
+    const now = new Date();
+
+    const [heroes, publicIds] = await Promise.all([
+      Media.find({ isHeroImage: true, type: "image" })
+        .select("title type url cloudinaryPublicId storage isActive heroSchedule updatedAt")
+        .sort({ "heroSchedule.startAt": 1, updatedAt: -1 })
+        .lean(),
+      // The same visibility check resolveHeroImage applies for visitors
+      Media.find({ isHeroImage: true, type: "image", ...Media.publicFilter(now) }).distinct(
+        "_id"
+      ),
+    ]);
+    const isPublic = new Set(publicIds.map(String));
+
+    // Unscheduled heroes don't rotate; only the newest one backs up the default
+    const fallback = heroes
+      .filter((hero) => {
+        const { startAt, endAt, isDefault } = hero.heroSchedule || {};
+        return isPublic.has(String(hero._id)) && !isDefault && !startAt && !endAt;
+      })
+      .sort((a, b) => b.updatedAt - a.updatedAt)[0];
+
+    const candidates = heroes.map((hero) => {
+      const { startAt, endAt, isDefault } = hero.heroSchedule || {};
+      let status = "live";
+      if (!hero.isActive) status = "inactive";
+      // Not published yet, or outside its release window
+      else if (!isPublic.has(String(hero._id))) status = "hidden";
+      else if (isDefault) status = "default";
+      else if (!startAt && !endAt) status = hero === fallback ? "fallback" : "unscheduled";
+      else if (startAt && startAt > now) status = "upcoming";
+      else if (endAt && endAt <= now) status = "ended";
+
+      return { ...hero, variants: buildVariants(hero), status };
+    });
 
     res.json({
       success: true,
-      message: `Media ${
-        media.isActive ? "activated" : "deactivated"
-      } successfully`,
-      data: { media },
+      data: { heroes: candidates },
     });
   } catch (error) {
-    console.error("Toggle media status error:", error);
+    console.error("Get hero images error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -331,4 +656,1126 @@ router.put("/media/:id/toggle-status", verifyToken, async (req, res) => {
   }
 });
 
+// @route   PUT /api/admin/media/reorder
+// @desc    Set the manual order of a category or of the featured set
+// @access  Private (Admin only)
+router.put(
+  "/media/reorder",
+  [
+    body("category").optional().isSlug(),
+    body("featured").optional().isBoolean(),
+    body("ids")
+      .isArray({ min: 1, max: 1000 })
+      .withMessage("ids must be a list of 1-1000 media IDs"),
+    body("ids.*").isMongoId().withMessage("ids must contain valid media IDs"),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
+      const { category, ids } = req.body;
+      const featured = req.body.featured === true || req.body.featured === "true";
+
+      if (!!category === featured) {
+        return res.status(400).json({
+          success: false,
+          message: "Provide either a category or featured: true",
+        });
+      }
+
+      const uniqueIds = [...new Set(ids.map(String))];
+      if (uniqueIds.length !== ids.length) {
+        return res.status(400).json({
+          success: false,
+          message: "ids must not contain duplicates",
+        });
+      }
+
+      // Every listed item must belong to the set being ordered
+      const scopeQuery = featured ? { isFeatured: true } : { category };
+      const matching = await Media.countDocuments({
+        ...scopeQuery,
+        _id: { $in: uniqueIds },
+      });
+
+      if (matching !== uniqueIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: featured
+            ? "Some ids are not featured media items"
+            : `Some ids are not media items in category "${category}"`,
+        });
+      }
+
+      const modifiedCount = await Media.reorder({ category, featured }, uniqueIds);
+
+      res.json({
+        success: true,
+        message: "Media order updated successfully",
+        data: { modifiedCount },
+      });
+    } catch (error) {
+      console.error("Reorder media error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/media/:id/status
+// @desc    Move media through the editorial workflow
+// @access  Private (Admin only; publishing needs the approve-media permission)
+router.put(
+  "/media/:id/status",
+  [
+    param("id").isMongoId().withMessage("Invalid media ID"),
+    body("status")
+      .isIn(Media.STATUSES)
+      .withMessage(`Status must be one of: ${Media.STATUSES.join(", ")}`),
+    body("note").optional().isString().isLength({ max: 500 }),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
+      const media = await Media.findById(req.params.id);
+
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          message: "Media not found",
+        });
+      }
+
+      const previousStatus = media.status;
+      const before = MediaRevision.snapshot(media);
+
+      try {
+        await media.transitionStatus(req.body.status, req.admin, req.body.note);
+      } catch (transitionError) {
+        if (transitionError.statusCode) {
+          return res.status(transitionError.statusCode).json({
+            success: false,
+            message: transitionError.message,
+            data: {
+              status: previousStatus,
+              allowed: Media.STATUS_TRANSITIONS[previousStatus] || [],
+            },
+          });
+        }
+        throw transitionError;
+      }
+
+      await MediaRevision.record(media, req.admin, {
+        before,
+        note: `Status ${previousStatus} → ${media.status}`,
+      });
+
+      await media.populate("statusHistory.changedBy", "username");
+
+      res.json({
+        success: true,
+        message: `Media moved from ${previousStatus} to ${media.status}`,
+        data: { media },
+      });
+    } catch (error) {
+      console.error("Update media status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/media/:id/revisions
+// @desc    List the revision history of a media item
+// @access  Private (Admin only)
+router.get(
+  "/media/:id/revisions",
+  [param("id").isMongoId().withMessage("Invalid media ID")],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+        });
+      }
+
+      const revisions = await MediaRevision.find({ media: req.params.id })
+        .select("-snapshot")
+        .populate("changedBy", "username")
+        .sort({ revision: -1 });
+
+      res.json({
+        success: true,
+        data: { revisions },
+      });
+    } catch (error) {
+      console.error("Get media revisions error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/media/:id/revisions/diff
+// @desc    Diff two revisions of a media item (?from=1&to=3; to defaults to latest)
+// @access  Private (Admin only)
+router.get(
+  "/media/:id/revisions/diff",
+  [
+    param("id").isMongoId().withMessage("Invalid media ID"),
+    query("from").isInt({ min: 1 }).withMessage("from must be a revision number"),
+    query("to").optional().isInt({ min: 1 }),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+        });
+      }
+
+      const fromNumber = parseInt(req.query.from);
+      const [fromRevision, toRevision] = await Promise.all([
+        MediaRevision.findOne({ media: req.params.id, revision: fromNumber }),
+        req.query.to
+          ? MediaRevision.findOne({
+              media: req.params.id,
+              revision: parseInt(req.query.to),
+            })
+          : MediaRevision.findOne({ media: req.params.id }).sort({ revision: -1 }),
+      ]);
+
+      if (!fromRevision || !toRevision) {
+        return res.status(404).json({
+          success: false,
+          message: "Revision not found",
+        });
+      }
+
+      const changedFields = MediaRevision.diffSnapshots(
+        fromRevision.snapshot,
+        toRevision.snapshot
+      );
+
+      const changes = changedFields.reduce((acc, field) => {
+        acc[field] = {
+          from: fromRevision.snapshot[field],
+          to: toRevision.snapshot[field],
+        };
+        return acc;
+      }, {});
+
+      res.json({
+        success: true,
+        data: {
+          from: fromRevision.revision,
+          to: toRevision.revision,
+          changedFields,
+          changes,
+        },
+      });
+    } catch (error) {
+      console.error("Diff media revisions error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/media/:id/revisions/:revision/revert
+// @desc    Revert a media item to an earlier revision (recorded as a new revision)
+// @access  Private (Admin only)
+router.post(
+  "/media/:id/revisions/:revision/revert",
+  [
+    param("id").isMongoId().withMessage("Invalid media ID"),
+    param("revision").isInt({ min: 1 }).withMessage("Invalid revision number"),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+        });
+      }
+
+      const [media, target] = await Promise.all([
+        Media.findById(req.params.id),
+        MediaRevision.findOne({
+          media: req.params.id,
+          revision: parseInt(req.params.revision),
+        }),
+      ]);
+
+      if (!media || !target) {
+        return res.status(404).json({
+          success: false,
+          message: media ? "Revision not found" : "Media not found",
+        });
+      }
+
+      const before = MediaRevision.snapshot(media);
+      media.applySnapshot(target.snapshot);
+
+      try {
+        await media.save();
+      } catch (saveError) {
+        if (saveError.name === "ValidationError") {
+          return res.status(400).json({
+            success: false,
+            message: `Cannot revert: ${saveError.message}`,
+          });
+        }
+        throw saveError;
+      }
+
+      const revision = await MediaRevision.record(media, req.admin, {
+        before,
+        note: `Reverted to revision ${target.revision}`,
+      });
+
+      res.json({
+        success: true,
+        message: revision
+          ? `Media reverted to revision ${target.revision}`
+          : "Media already matches that revision",
+        data: { media, revision },
+      });
+    } catch (error) {
+      console.error("Revert media revision error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/trash
+// @desc    List trashed media with the date each will be purged
+// @access  Private (Admin only)
+router.get(
+  "/trash",
+  [
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { page = 1, limit = 20 } = req.query;
+      const skip = (page - 1) * limit;
+      const retentionMs = getRetentionDays() * 24 * 60 * 60 * 1000;
+
+      const [media, total] = await Promise.all([
+        Media.findTrashed()
+          .populate("deletedBy", "username")
+          .sort({ deletedAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Media.countDocuments({ deletedAt: { $ne: null } }),
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: {
+          media: media.map((item) => ({
+            ...item.toJSON(),
+            purgeAt: new Date(item.deletedAt.getTime() + retentionMs),
+          })),
+          retentionDays: getRetentionDays(),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalItems: total,
+            itemsPerPage: parseInt(limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get trash error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/trash/:id/restore
+// @desc    Restore trashed media
+// @access  Private (Admin only)
+router.post(
+  "/trash/:id/restore",
+  [param("id").isMongoId().withMessage("Invalid media ID")],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+        });
+      }
+
+      const media = await Media.findOne({
+        _id: req.params.id,
+        deletedAt: { $ne: null },
+      });
+
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          message: "Media not found in trash",
+        });
+      }
+
+      await media.restore();
+
+      res.json({
+        success: true,
+        message: "Media restored successfully",
+        data: { media },
+      });
+    } catch (error) {
+      console.error("Restore media error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/trash/:id
+// @desc    Permanently purge trashed media (storage asset and document)
+// @access  Private (Admin only)
+router.delete(
+  "/trash/:id",
+  [param("id").isMongoId().withMessage("Invalid media ID")],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+        });
+      }
+
+      const media = await Media.findOne({
+        _id: req.params.id,
+        deletedAt: { $ne: null },
+      });
+
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          message: "Media not found in trash",
+        });
+      }
+
+      await media.deleteOne();
+
+      res.json({
+        success: true,
+        message: "Media permanently deleted",
+      });
+    } catch (error) {
+      console.error("Purge media error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/media/:id/toggle-status
+// @desc    Toggle media active status
+// @access  Private (Admin only)
+router.put("/media/:id/toggle-status", verifyToken, async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: "Media not found",
+      });
+    }
+
+    const before = MediaRevision.snapshot(media);
+    media.isActive = !media.isActive;
+    media.updatedAt = Date.now();
+    await media.save();
+    await MediaRevision.record(media, req.admin, {
+      before,
+      note: media.isActive ? "Activated" : "Deactivated",
+    });
+
+    await media.populate("uploadedBy", "username");
+
+    res.json({
+      success: true,
+      message: `Media ${
+        media.isActive ? "activated" : "deactivated"
+      } successfully`,
+      data: { media },
+    });
+  } catch (error) {
+    console.error("Toggle media status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   GET /api/admin/tags
+// @desc    List all tags with usage counts
+// @access  Private (Admin only)
+router.get(
+  "/tags",
+  [
+    query("search").optional().isLength({ max: 50 }),
+    query("limit").optional().isInt({ min: 1, max: 1000 }),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const tags = await Media.getTagCounts({
+        search: req.query.search || null,
+        limit: parseInt(req.query.limit) || 500,
+      });
+
+      res.json({
+        success: true,
+        data: { tags },
+      });
+    } catch (error) {
+      console.error("Get tags error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/tags/rename
+// @desc    Rename a tag on every media item
+// @access  Private (Admin only)
+router.post(
+  "/tags/rename",
+  [
+    body("from").isString().trim().notEmpty().withMessage("Tag to rename is required"),
+    body("to").isString().trim().notEmpty().withMessage("New tag name is required"),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
+      const { from, to } = req.body;
+      const modifiedCount = await MediaRevision.recordBulkUpdate(
+        { tags: Media.normalizeTag(from), deletedAt: null },
+        () => Media.renameTag(from, to),
+        req.admin,
+        { note: `Tag "${Media.normalizeTag(from)}" renamed to "${Media.normalizeTag(to)}"` }
+      );
+
+      res.json({
+        success: true,
+        message: `Tag renamed on ${modifiedCount} media items`,
+        data: {
+          from: Media.normalizeTag(from),
+          to: Media.normalizeTag(to),
+          modifiedCount,
+        },
+      });
+    } catch (error) {
+      console.error("Rename tag error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/tags/merge
+// @desc    Merge several tags into one on every media item
+// @access  Private (Admin only)
+router.post(
+  "/tags/merge",
+  [
+    body("sources")
+      .isArray({ min: 1, max: 50 })
+      .withMessage("Sources must be a list of 1-50 tags"),
+    body("sources.*").isString().trim().notEmpty(),
+    body("target").isString().trim().notEmpty().withMessage("Target tag is required"),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
+      const { sources, target } = req.body;
+      const modifiedCount = await MediaRevision.recordBulkUpdate(
+        { tags: { $in: sources.map(Media.normalizeTag) }, deletedAt: null },
+        () => Media.mergeTags(sources, target),
+        req.admin,
+        { note: `Tags merged into "${Media.normalizeTag(target)}"` }
+      );
+
+      res.json({
+        success: true,
+        message: `Tags merged on ${modifiedCount} media items`,
+        data: {
+          sources: sources.map(Media.normalizeTag),
+          target: Media.normalizeTag(target),
+          modifiedCount,
+        },
+      });
+    } catch (error) {
+      console.error("Merge tags error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/tags/:tag
+// @desc    Remove a tag from every media item
+// @access  Private (Admin only)
+router.delete(
+  "/tags/:tag",
+  [param("tag").trim().notEmpty()],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const tag = Media.normalizeTag(req.params.tag);
+      const modifiedCount = await MediaRevision.recordBulkUpdate(
+        { tags: tag, deletedAt: null },
+        () => Media.removeTag(tag),
+        req.admin,
+        { note: `Tag "${tag}" removed` }
+      );
+
+      res.json({
+        success: true,
+        message: `Tag removed from ${modifiedCount} media items`,
+        data: {
+          tag,
+          modifiedCount,
+        },
+      });
+    } catch (error) {
+      console.error("Delete tag error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/categories
+// @desc    Get all categories (including hidden) with media counts
+// @access  Private (Admin only)
+router.get("/categories", verifyToken, async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find({}).sort({ sortOrder: 1, name: 1 }).lean(),
+      Media.aggregate([{ $group: { _id: "$category", count: { $sum: 1 } } }]),
+    ]);
+
+    const countBySlug = counts.reduce((acc, item) => {
+      acc[item._id] = item.count;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      data: {
+        categories: categories.map((category) => ({
+          ...category,
+          mediaCount: countBySlug[category.slug] || 0,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get admin categories error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /api/admin/categories
+// @desc    Create a category
+// @access  Private (Admin only)
+router.post(
+  "/categories",
+  [
+    body("slug").isSlug().withMessage("A valid slug is required"),
+    body("name").trim().notEmpty().withMessage("Name is required"),
+    body("description").optional().isLength({ max: 500 }),
+    body("sortOrder").optional().isInt(),
+    body("isVisible").optional().isBoolean(),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
+      const { slug, name, description, sortOrder, isVisible } = req.body;
+
+      if (await Category.slugExists(slug.toLowerCase())) {
+        return res.status(400).json({
+          success: false,
+          message: "Category with this slug already exists",
+        });
+      }
+
+      const category = await Category.create({
+        slug,
+        name,
+        description,
+        sortOrder,
+        isVisible,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Category created successfully",
+        data: { category },
+      });
+    } catch (error) {
+      console.error("Create category error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/categories/:id
+// @desc    Update a category (renaming the slug moves its media along)
+// @access  Private (Admin only)
+router.put(
+  "/categories/:id",
+  [
+    param("id").isMongoId().withMessage("Invalid category ID"),
+    body("slug").optional().isSlug().withMessage("Slug is invalid"),
+    body("name").optional().trim().notEmpty(),
+    body("description").optional().isLength({ max: 500 }),
+    body("sortOrder").optional().isInt(),
+    body("isVisible").optional().isBoolean(),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
+      const category = await Category.findById(req.params.id);
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: "Category not found",
+        });
+      }
+
+      const previousSlug = category.slug;
+      const newSlug = req.body.slug ? req.body.slug.toLowerCase() : previousSlug;
+
+      if (newSlug !== previousSlug && (await Category.slugExists(newSlug))) {
+        return res.status(400).json({
+          success: false,
+          message: "Category with this slug already exists",
+        });
+      }
+
+      ["name", "description", "sortOrder", "isVisible"].forEach((field) => {
+        if (req.body[field] !== undefined) category[field] = req.body[field];
+      });
+      category.slug = newSlug;
+
+      await category.save();
+
+      let movedMedia = 0;
+      if (newSlug !== previousSlug) {
+        const result = await MediaRevision.recordBulkUpdate(
+          { category: previousSlug },
+          () => Media.updateMany({ category: previousSlug }, { category: newSlug }),
+          req.admin,
+          { note: `Category "${previousSlug}" renamed to "${newSlug}"` }
+        );
+        movedMedia = result.modifiedCount;
+      }
+
+      res.json({
+        success: true,
+        message: "Category updated successfully",
+        data: { category, movedMedia },
+      });
+    } catch (error) {
+      console.error("Update category error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/categories/:id
+// @desc    Delete a category; media still using it must be reassigned
+// @access  Private (Admin only)
+router.delete(
+  "/categories/:id",
+  [
+    param("id").isMongoId().withMessage("Invalid category ID"),
+    query("reassignTo").optional().isSlug(),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
+      const category = await Category.findById(req.params.id);
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: "Category not found",
+        });
+      }
+
+      // Media in the trash counts too: it must still be valid when restored
+      const { reassignTo } = req.query;
+      const [liveCount, trashedCount] = await Promise.all([
+        Media.countDocuments({ category: category.slug }),
+        Media.countDocuments({ category: category.slug, deletedAt: { $ne: null } }),
+      ]);
+      const mediaCount = liveCount + trashedCount;
+
+      if (mediaCount > 0 && !reassignTo) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot delete category used by ${mediaCount} media items (${trashedCount} in the trash). Pass reassignTo to move them first.`,
+          data: { mediaCount, trashedCount },
+        });
+      }
+
+      let movedMedia = 0;
+      if (mediaCount > 0) {
+        if (
+          reassignTo === category.slug ||
+          !(await Category.slugExists(reassignTo))
+        ) {
+          return res.status(400).json({
+            success: false,
+            message: "reassignTo must be another existing category",
+          });
+        }
+
+        // updateMany isn't filtered by the trash hook, so trashed media moves too
+        const result = await MediaRevision.recordBulkUpdate(
+          { category: category.slug },
+          () => Media.updateMany({ category: category.slug }, { category: reassignTo }),
+          req.admin,
+          { note: `Category "${category.slug}" deleted, moved to "${reassignTo}"` }
+        );
+        movedMedia = result.modifiedCount;
+      }
+
+      await category.deleteOne();
+
+      res.json({
+        success: true,
+        message: "Category deleted successfully",
+        data: { movedMedia },
+      });
+    } catch (error) {
+      console.error("Delete category error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/projects
+// @desc    Get all projects for admin management (including inactive)
+// @access  Private (Admin only)
+router.get(
+  "/projects",
+  [
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+    query("year").optional().isInt({ min: 1900, max: 2100 }),
+    query("client").optional().isLength({ max: 100 }),
+    query("isActive").optional().isBoolean(),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { page = 1, limit = 20, year, client, isActive } = req.query;
+
+      const filter = {};
+      if (year) filter.year = parseInt(year);
+      if (client) {
+        filter.client = new RegExp(Media.escapeRegex(client.trim()), "i");
+      }
+      if (isActive !== undefined) filter.isActive = isActive === "true";
+
+      const skip = (page - 1) * limit;
+
+      const [projects, total] = await Promise.all([
+        Project.find(filter)
+          .populate("coverMedia", "url thumbnailUrl title type")
+          .populate("createdBy", "username")
+          .sort({ sortOrder: 1, year: -1, createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Project.countDocuments(filter),
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: {
+          projects,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalItems: total,
+            itemsPerPage: parseInt(limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get admin projects error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/analytics/trends
+// @desc    Daily impressions/clicks/shares over a date range, optionally grouped
+// @access  Private (Admin only)
+router.get(
+  "/analytics/trends",
+  [
+    query("from").optional().isISO8601(),
+    query("to").optional().isISO8601(),
+    query("groupBy").optional().isIn(["media", "category", "type"]),
+    query("mediaId").optional().isMongoId(),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  verifyToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { groupBy = null, mediaId = null, limit = 20 } = req.query;
+
+      // Default to the last 30 days, both ends inclusive
+      const to = MediaAnalytics.startOfDay(
+        req.query.to ? new Date(req.query.to) : new Date()
+      );
+      const from = MediaAnalytics.startOfDay(
+        req.query.from
+          ? new Date(req.query.from)
+          : new Date(to.getTime() - 29 * MediaAnalytics.DAY_MS)
+      );
+
+      if (from > to) {
+        return res.status(400).json({
+          success: false,
+          message: "'from' must be before 'to'",
+        });
+      }
+
+      const days = Math.round((to - from) / MediaAnalytics.DAY_MS) + 1;
+      if (days > 366) {
+        return res.status(400).json({
+          success: false,
+          message: "Date range cannot exceed 366 days",
+        });
+      }
+
+      // Previous period of the same length, for "this week vs last week"
+      const previousTo = new Date(from.getTime() - MediaAnalytics.DAY_MS);
+      const previousFrom = new Date(
+        previousTo.getTime() - (days - 1) * MediaAnalytics.DAY_MS
+      );
+
+      const [trends, totals, previousTotals] = await Promise.all([
+        MediaAnalytics.getTrends({
+          from,
+          to,
+          groupBy,
+          mediaId,
+          limit: parseInt(limit),
+        }),
+        MediaAnalytics.getTotals({ from, to, mediaId }),
+        MediaAnalytics.getTotals({
+          from: previousFrom,
+          to: previousTo,
+          mediaId,
+        }),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          range: { from, to, days },
+          groupBy,
+          trends,
+          totals,
+          previousPeriod: {
+            range: { from: previousFrom, to: previousTo, days },
+            totals: previousTotals,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get analytics trends error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
 module.exports = router;
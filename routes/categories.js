@@ -0,0 +1,29 @@
+const express = require("express");
+const Category = require("../models/Category");
+
+const router = express.Router();
+
+// @route   GET /api/categories
+// @desc    Get visible categories in display order
+// @access  Public
+router.get("/", async (req, res) => {
+  try {
+    const categories = await Category.find({ isVisible: true })
+      .select("slug name description sortOrder")
+      .sort({ sortOrder: 1, name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { categories },
+    });
+  } catch (error) {
+    console.error("Get categories error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
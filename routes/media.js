@@ -1,84 +1,189 @@
 const express = require("express");
 const router = express.Router();
 const multer = require("multer");
-const cloudinary = require("cloudinary").v2;
+const crypto = require("crypto");
 const Media = require("../models/Media");
+const MediaView = require("../models/MediaView");
+const MediaRevision = require("../models/MediaRevision");
+const Category = require("../models/Category");
 const { verifyToken, requireAdmin } = require("../middleware/auth");
-const streamifier = require("streamifier");
+const {
+  fileFilter,
+  withFileSizeLimit,
+  parseTags,
+  readUploadFields,
+  buildMediaFromUpload,
+  saveUploadedMedia,
+} = require("../middleware/upload");
+const { getStorage } = require("../storage");
+const { extractMetadata } = require("../utils/mediaMetadata");
+const { DUPLICATE_POLICIES, hashUpload } = require("../utils/mediaHash");
+const { fetchRemoteFile } = require("../utils/remoteFile");
+const uploadConfig = require("../config/uploads");
+const rateLimit = require("express-rate-limit");
+const { query, param, body, validationResult } = require("express-validator");
+
+// Largest file accepted by the single file create and update routes
+const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB limit
 
 // Configure multer (in-memory storage)
-const storage = multer.memoryStorage();
 const upload = multer({ 
-  storage,
+  storage: multer.memoryStorage(),
   limits: {
-    fileSize: 100 * 1024 * 1024 // 100MB limit
-  }
+    fileSize: MAX_FILE_SIZE
+  },
+  fileFilter,
 });
 
-// Cloudinary config (make sure these are set in .env)
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
+// Batch uploads are buffered in memory too, so they get tighter limits
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: uploadConfig.batch.maxFileSize,
+    files: uploadConfig.batch.maxFiles,
+  },
+  fileFilter,
 });
 
-// Helper function to upload to Cloudinary
-const uploadToCloudinary = (buffer, mimetype) => {
-  return new Promise((resolve, reject) => {
-    const stream = cloudinary.uploader.upload_stream(
-      {
-        folder: "pixelarts-media",
-        resource_type: mimetype.startsWith("video/") ? "video" : "image",
-      },
-      (error, result) => {
-        if (error) {
-          console.error("Cloudinary Upload Error:", error);
-          reject(error);
-        } else {
-          resolve(result);
-        }
-      }
-    );
+// Refuse a batch before it is buffered when the whole body is too large
+const limitBatchSize = (req, res, next) => {
+  const length = parseInt(req.get("Content-Length"));
+  if (!length) {
+    return res.status(411).json({
+      success: false,
+      message: "Batch uploads must send a Content-Length header",
+    });
+  }
+  if (length > uploadConfig.batch.maxTotalSize) {
+    return res.status(413).json({
+      success: false,
+      message: `A batch may hold at most ${uploadConfig.batch.maxTotalSize / (1024 * 1024)}MB of files`,
+    });
+  }
+  next();
+};
+
+// Storage backend uploads are written to (see storage/index.js)
+const storage = getStorage();
+
+// Read the duplicates flag ("warn" or "reject", default "warn"); sends a 400 if invalid
+const readDuplicatePolicy = (req, res) => {
+  const policy = req.body.duplicates || "warn";
+  if (!DUPLICATE_POLICIES.includes(policy)) {
+    res.status(400).json({
+      success: false,
+      message: `duplicates must be one of: ${DUPLICATE_POLICIES.join(", ")}`,
+    });
+    return null;
+  }
+  return policy;
+};
+
+// Hash an uploaded file and find media that already hold the same file.
+// Resolves to { hashes, duplicates }.
+const checkDuplicates = async (file, excludeId) => {
+  const hashes = await hashUpload(file.buffer, file.mimetype);
+  const duplicates = await Media.findExactDuplicates(hashes.contentHash, excludeId);
+  return { hashes, duplicates };
+};
 
-    streamifier.createReadStream(buffer).pipe(stream);
+// Refuse an upload that exactly matches existing media
+const sendDuplicateRejection = (res, duplicates) =>
+  res.status(409).json({
+    success: false,
+    message: "This file has already been uploaded",
+    data: { duplicates },
   });
+
+// Parse an optional date field from a request body.
+// Returns undefined when absent, null when cleared (""), throws when invalid.
+const parseOptionalDate = (value, field) => {
+  if (value === undefined) return undefined;
+  if (value === "" || value === null) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+// Read hero scheduling fields (heroStartAt, heroEndAt, heroWeight, heroIsDefault)
+// from a request body. Throws on invalid values.
+const parseHeroSchedule = (body) => {
+  const schedule = {};
+
+  const startAt = parseOptionalDate(body.heroStartAt, "heroStartAt");
+  const endAt = parseOptionalDate(body.heroEndAt, "heroEndAt");
+  if (startAt !== undefined) schedule.startAt = startAt;
+  if (endAt !== undefined) schedule.endAt = endAt;
+
+  if (body.heroWeight !== undefined && body.heroWeight !== "") {
+    const weight = Number(body.heroWeight);
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error("heroWeight must be a non-negative number");
+    }
+    schedule.weight = weight;
+  }
+
+  if (body.heroIsDefault !== undefined) {
+    schedule.isDefault = body.heroIsDefault === "true" || body.heroIsDefault === true;
+  }
+
+  return schedule;
+};
+
+// Read the release window (publishAt, unpublishAt) from a request body
+const parsePublishSchedule = (body) => {
+  const schedule = {};
+
+  const publishAt = parseOptionalDate(body.publishAt, "publishAt");
+  const unpublishAt = parseOptionalDate(body.unpublishAt, "unpublishAt");
+  if (publishAt !== undefined) schedule.publishAt = publishAt;
+  if (unpublishAt !== undefined) schedule.unpublishAt = unpublishAt;
+
+  return schedule;
 };
 
-// @desc    Get hero image (PUBLIC ROUTE - MUST COME BEFORE /:id)
+// @desc    Get the hero image live right now (PUBLIC ROUTE - MUST COME BEFORE /:id)
 // @route   GET /api/media/hero-image
 // @access  Public
 router.get("/hero-image", async (req, res) => {
   try {
-    console.log('GET /api/media/hero-image - Fetching hero image...');
-    
-    // Find the one media item where isHeroImage is true and isActive is true
-    const heroImage = await Media.findOne({ 
-      isHeroImage: true, 
-      isActive: true,
-      type: 'image' // Ensure it's an image
-    }).sort({ updatedAt: -1 }); // Get the most recently updated one
-
-    console.log('Hero image found:', heroImage ? {
-      id: heroImage._id,
-      title: heroImage.title,
-      url: heroImage.url,
-      category: heroImage.category
+    console.log('GET /api/media/hero-image - Resolving hero image...');
+
+    // Scheduled candidates rotate by weight, otherwise the default (or latest) hero is used
+    const resolved = await Media.resolveHeroImage();
+
+    console.log('Hero image resolved:', resolved ? {
+      id: resolved.media._id,
+      title: resolved.media.title,
+      url: resolved.media.url,
+      source: resolved.source
     } : 'None');
 
-    if (!heroImage) {
+    // Rotation means the answer can change per request
+    res.set("Cache-Control", "no-store");
+
+    if (!resolved) {
       return res.status(200).json({ 
         success: false, 
         message: "No hero image set" 
       });
     }
 
+    const heroImage = resolved.media;
+
     res.json({
       success: true,
       image: {
         id: heroImage._id,
         url: heroImage.url,
         title: heroImage.title,
-        description: heroImage.description
+        description: heroImage.description,
+        variants: heroImage.variants,
+        source: resolved.source,
+        endAt: heroImage.heroSchedule.endAt || null
       }
     });
   } catch (error) {
@@ -91,30 +196,338 @@ router.get("/hero-image", async (req, res) => {
   }
 });
 
-// @desc    Get all media items
+// Fields the public gallery may be sorted by
+const PUBLIC_SORT_FIELDS = [
+  "relevance",
+  "createdAt",
+  "updatedAt",
+  "uploadDate",
+  "title",
+  "viewCount",
+  "sortOrder",
+];
+
+// @desc    Get active media items (paginated, filterable gallery)
 // @route   GET /api/media
-// @access  Private (admin)
-router.get("/", async (req, res) => {
+// @access  Public
+router.get(
+  "/",
+  [
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+    query("search").optional().isLength({ max: 100 }),
+    query("type").optional().isIn(["image", "video"]),
+    query("category").optional().isLength({ max: 50 }),
+    query("tags").optional(),
+    query("isFeatured").optional().isBoolean(),
+    query("year").optional().isInt({ min: 1970, max: 9999 }),
+    query("facets").optional().isBoolean(),
+    query("sortBy").optional().isIn(PUBLIC_SORT_FIELDS),
+    query("sortOrder").optional().isIn(["asc", "desc"]),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        page = 1,
+        limit = 20,
+        search,
+        type,
+        category,
+        tags,
+        isFeatured,
+        year,
+        facets,
+        sortBy = search ? "relevance" : "sortOrder",
+        sortOrder = sortBy === "sortOrder" ? "asc" : "desc",
+      } = req.query;
+
+      // Tags may come as ?tags=a,b or ?tags=a&tags=b
+      let tagsArray = [];
+      if (tags) {
+        tagsArray = (Array.isArray(tags) ? tags : String(tags).split(","))
+          .map((tag) => String(tag).trim().toLowerCase())
+          .filter((tag) => tag);
+      }
+
+      const searchOptions = {
+        type: type || null,
+        category: category || null,
+        tags: tagsArray,
+        isActive: true,
+        isFeatured: isFeatured !== undefined ? isFeatured === "true" : null,
+        year: year ? parseInt(year) : null,
+        limit: parseInt(limit),
+        skip: (page - 1) * limit,
+        sortBy,
+        sortOrder: sortOrder === "desc" ? -1 : 1,
+      };
+
+      const [media, total, facetCounts] = await Promise.all([
+        Media.searchMedia(search, searchOptions).select(Media.PUBLIC_PROJECTION),
+        Media.countDocuments(Media.buildSearchQuery(search, searchOptions)),
+        facets === "true"
+          ? Media.getSearchFacets(search, searchOptions)
+          : null,
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          media,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalItems: total,
+            itemsPerPage: parseInt(limit),
+          },
+          ...(facetCounts && { facets: facetCounts }),
+        },
+        message: "Media items retrieved successfully",
+      });
+    } catch (error) {
+      console.error("Error fetching media:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch media items",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @desc    Autocomplete suggestions (tag and title prefixes)
+// @route   GET /api/media/suggest
+// @access  Public
+router.get(
+  "/suggest",
+  [
+    query("q").trim().notEmpty().isLength({ max: 50 }),
+    query("limit").optional().isInt({ min: 1, max: 20 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const suggestions = await Media.suggest(req.query.q, {
+        limit: parseInt(req.query.limit) || 10,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: { suggestions },
+      });
+    } catch (error) {
+      console.error("Error fetching suggestions:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch suggestions",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Views from the same visitor inside this window are only counted once
+const VIEW_DEDUPE_WINDOW_MS =
+  (parseInt(process.env.VIEW_DEDUPE_WINDOW_MINUTES) || 30) * 60 * 1000;
+
+// Anonymous visitor fingerprint (IP + user agent), hashed so no raw IPs are stored
+const getVisitorHash = (req) => {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.ip}|${req.get("User-Agent") || ""}`)
+    .digest("hex");
+};
+
+// @desc    Get a single active media item and record a view
+// @route   GET /api/media/:id
+// @access  Public
+router.get("/:id", [param("id").isMongoId()], async (req, res) => {
   try {
-    const media = await Media.find()
-      .sort({ createdAt: -1 })
-      .populate("uploadedBy", "username email");
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid media ID",
+      });
+    }
+
+    const media = await Media.findOne({
+      _id: req.params.id,
+      ...Media.publicFilter(),
+    })
+      .select(Media.PUBLIC_PROJECTION)
+      .populate("uploadedBy", "username");
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: "Media not found",
+      });
+    }
+
+    const isNewView = await MediaView.recordView(
+      media._id,
+      getVisitorHash(req),
+      VIEW_DEDUPE_WINDOW_MS
+    );
+
+    if (isNewView) {
+      await media.incrementViews();
+      media.viewCount += 1;
+    }
 
     res.status(200).json({
       success: true,
-      data: media,
-      message: "Media items retrieved successfully",
+      data: { media: media.toJSON({ virtuals: true }) },
+      message: "Media item retrieved successfully",
     });
   } catch (error) {
-    console.error("Error fetching media:", error);
+    console.error("Error fetching media item:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch media items",
+      message: "Failed to fetch media item",
       error: error.message,
     });
   }
 });
 
+// @desc    Get media related to an item ("more like this")
+// @route   GET /api/media/:id/related
+// @access  Public
+router.get(
+  "/:id/related",
+  [param("id").isMongoId(), query("limit").optional().isInt({ min: 1, max: 24 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const media = await Media.findOne({
+        _id: req.params.id,
+        ...Media.publicFilter(),
+      });
+
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          message: "Media not found",
+        });
+      }
+
+      const related = await Media.findRelated(media, {
+        limit: parseInt(req.query.limit) || 8,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          media: related.map(({ media: item, score, reasons }) => ({
+            ...item.toJSON(),
+            relatedScore: score,
+            relatedBy: reasons,
+          })),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching related media:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch related media",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Per-IP limit for engagement events (on top of the global /api limiter)
+const eventLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // limit each IP to 30 events per windowMs
+  message: "Too many events from this IP, please try again later.",
+});
+
+// @desc    Record an engagement event (click, share, play, play-complete)
+// @route   POST /api/media/:id/events
+// @access  Public
+router.post(
+  "/:id/events",
+  eventLimiter,
+  [
+    param("id").isMongoId().withMessage("Invalid media ID"),
+    body("type")
+      .isIn(Media.ENGAGEMENT_EVENTS)
+      .withMessage(`Type must be one of: ${Media.ENGAGEMENT_EVENTS.join(", ")}`),
+    body("network")
+      .if(body("type").equals("share"))
+      .notEmpty()
+      .withMessage("Network is required for share events")
+      .bail()
+      .isIn(Media.SHARE_NETWORKS)
+      .withMessage(`Network must be one of: ${Media.SHARE_NETWORKS.join(", ")}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
+      const { type, network } = req.body;
+
+      const analytics = await Media.recordEvent(req.params.id, type, { network });
+
+      if (!analytics) {
+        return res.status(404).json({
+          success: false,
+          message: "Media not found",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Event recorded successfully",
+        data: { analytics },
+      });
+    } catch (error) {
+      console.error("Error recording media event:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record event",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // @desc    Create a new media item
 // @route   POST /api/media
 // @access  Private (admin)
@@ -122,7 +535,7 @@ router.post(
   "/",
   verifyToken,
   requireAdmin,
-  upload.single("file"),
+  withFileSizeLimit(upload.single("file"), MAX_FILE_SIZE),
   async (req, res) => {
     try {
       console.log('POST /api/media - Request body:', {
@@ -132,101 +545,103 @@ router.post(
         hasFile: !!req.file
       });
 
-      let fileUrl = req.body.url || null;
-      let isHeroImage = req.body.isHeroImage === 'true';
-      let category = req.body.category || 'showreel';
-      
-      // If category is 'hero-image', automatically set isHeroImage to true
-      if (category === 'hero-image') {
-        isHeroImage = true;
-        console.log('Category is hero-image, setting isHeroImage to true');
-      }
+      // Check the shared fields before anything is uploaded
+      const fields = await readUploadFields(req, res, {
+        mimeType: req.file && req.file.mimetype,
+      });
+      if (!fields) return;
+      const { category, isHeroImage, status, tags: tagsArray } = fields;
 
       console.log('POST /api/media - Processed values:', { category, isHeroImage });
 
-      // Validate that hero images must be images
-      if (isHeroImage && req.file && !req.file.mimetype.startsWith("image/")) {
+      // Hero images and releases can be scheduled; several hero candidates may coexist
+      let heroSchedule;
+      let publishSchedule;
+      try {
+        heroSchedule = parseHeroSchedule(req.body);
+        publishSchedule = parsePublishSchedule(req.body);
+      } catch (scheduleError) {
         return res.status(400).json({
           success: false,
-          message: "Hero image must be an image file, not a video",
+          message: scheduleError.message,
         });
       }
 
-      // If this is going to be a hero image, unset all other hero images
-      if (isHeroImage) {
-        const updateResult = await Media.updateMany({}, { isHeroImage: false });
-        console.log(`Unset ${updateResult.modifiedCount} previous hero images`);
+      // Exact copies of existing media are reported, or refused with duplicates=reject
+      const duplicatePolicy = readDuplicatePolicy(req, res);
+      if (!duplicatePolicy) return;
+
+      // With ingest=true a URL is downloaded and stored like an uploaded file
+      // instead of being linked to
+      let sourceUrl = null;
+      if (!req.file && req.body.url && String(req.body.ingest) === "true") {
+        try {
+          req.file = await fetchRemoteFile(req.body.url);
+        } catch (fetchError) {
+          console.error("Remote fetch error:", fetchError.message);
+          return res.status(fetchError.statusCode || 502).json({
+            success: false,
+            message: fetchError.message,
+          });
+        }
+        sourceUrl = req.body.url;
+
+        if (isHeroImage && !req.file.mimetype.startsWith("image/")) {
+          return res.status(400).json({
+            success: false,
+            message: "Hero image must be an image file, not a video",
+          });
+        }
       }
 
       // Handle file upload
       if (req.file) {
         try {
-          console.log('Uploading file to Cloudinary:', {
+          const { hashes, duplicates } = await checkDuplicates(req.file);
+          if (duplicates.length > 0 && duplicatePolicy === "reject") {
+            return sendDuplicateRejection(res, duplicates);
+          }
+
+          console.log(`Uploading file to ${storage.name} storage:`, {
             mimetype: req.file.mimetype,
             size: req.file.size,
             originalname: req.file.originalname
           });
 
-          const uploadResult = await uploadToCloudinary(req.file.buffer, req.file.mimetype);
-          
-          console.log('Cloudinary upload successful:', {
-            public_id: uploadResult.public_id,
-            secure_url: uploadResult.secure_url
-          });
-
-          // Generate a thumbnail if it's a video
-          let thumbnailUrl = uploadResult.secure_url;
-          if (req.file.mimetype.startsWith("video/")) {
-            thumbnailUrl = cloudinary.url(uploadResult.public_id + ".jpg", {
-              resource_type: "video",
-              format: "jpg",
-              transformation: [{ width: 600, height: 400, crop: "fill" }],
-            });
-          }
+          // Inspect the file before it leaves the server
+          const fileInfo = await extractMetadata(req.file.buffer, req.file.mimetype);
 
-          // Parse tags if they exist
-          let tagsArray = [];
-          if (req.body.tags) {
-            if (typeof req.body.tags === 'string') {
-              tagsArray = req.body.tags
-                .split(',')
-                .map(tag => tag.trim())
-                .filter(tag => tag);
-            } else if (Array.isArray(req.body.tags)) {
-              tagsArray = req.body.tags;
-            }
-          }
-
-          // Save media record with Cloudinary URL
-          const media = new Media({
-            title: req.body.title,
-            description: req.body.description || '',
-            type: req.file.mimetype.startsWith("video/") ? "video" : "image",
-            url: uploadResult.secure_url,
-            thumbnailUrl: thumbnailUrl,
-            tags: tagsArray,
-            category: category,
-            isHeroImage: isHeroImage,
-            isActive: true,
-            isFeatured: false,
-            sortOrder: 0,
-            viewCount: 0,
-            uploadedBy: req.admin._id,
-            cloudinaryPublicId: uploadResult.public_id,
-            metadata: {
-              uploadSource: "file-upload",
-              originalName: req.file.originalname,
-              quality: "high",
-            },
-            seo: {
-              keywords: [],
-              altText: req.body.title,
-            },
-            fileSize: req.file.size,
+          const uploadResult = await storage.put(req.file.buffer, {
             mimeType: req.file.mimetype,
+            fileName: req.file.originalname,
           });
 
-          await media.save();
+          console.log('Upload successful:', {
+            publicId: uploadResult.publicId,
+            url: uploadResult.url
+          });
+
+          const media = buildMediaFromUpload(
+            {
+              ...fields,
+              ...publishSchedule,
+              heroSchedule,
+              title: req.body.title,
+              description: req.body.description,
+              uploadedBy: req.admin._id,
+            },
+            { ...uploadResult, storage: storage.name },
+            {
+              originalName: req.file.originalname,
+              size: req.file.size,
+              mimeType: req.file.mimetype,
+              ...hashes,
+              info: fileInfo,
+              uploadSource: sourceUrl ? "url" : "file-upload",
+              sourceUrl,
+            }
+          );
+          await saveUploadedMedia(media, req.admin);
 
           console.log('Media saved successfully:', {
             id: media._id,
@@ -239,13 +654,13 @@ router.post(
           return res.status(201).json({
             success: true,
             message: isHeroImage ? "Hero image uploaded successfully" : "Media created successfully",
-            data: { media },
+            data: { media, duplicates },
           });
         } catch (uploadError) {
-          console.error("Cloudinary Upload Error:", uploadError);
+          console.error("Upload Error:", uploadError);
           return res.status(500).json({
             success: false,
-            message: "Upload to Cloudinary failed",
+            message: "File upload failed",
             error: uploadError.message,
           });
         }
@@ -261,19 +676,6 @@ router.post(
           });
         }
 
-        // Parse tags if they exist
-        let tagsArray = [];
-        if (req.body.tags) {
-          if (typeof req.body.tags === 'string') {
-            tagsArray = req.body.tags
-              .split(',')
-              .map(tag => tag.trim())
-              .filter(tag => tag);
-          } else if (Array.isArray(req.body.tags)) {
-            tagsArray = req.body.tags;
-          }
-        }
-
         const media = new Media({
           title: req.body.title,
           description: req.body.description || '',
@@ -283,14 +685,20 @@ router.post(
           tags: tagsArray,
           category: category,
           isHeroImage: isHeroImage,
+          heroSchedule: heroSchedule,
+          ...publishSchedule,
           isActive: true,
+          status: status,
+          statusHistory: [
+            { from: null, to: status, changedBy: req.admin._id, changedAt: new Date() },
+          ],
           isFeatured: false,
           sortOrder: 0,
           viewCount: 0,
           uploadedBy: req.admin._id,
+          // Nothing is known about a linked file, so quality keeps the schema default
           metadata: {
             uploadSource: "url",
-            quality: "high",
           },
           seo: {
             keywords: [],
@@ -299,6 +707,7 @@ router.post(
         });
 
         await media.save();
+        await MediaRevision.record(media, req.admin);
 
         console.log('Media saved successfully (URL):', {
           id: media._id,
@@ -329,6 +738,164 @@ router.post(
   }
 );
 
+// Run an async function over items with at most `limit` running at once.
+// Resolves to the results in input order; rejections become { error }.
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+};
+
+// Read a list field sent as a JSON array or as repeated form fields
+const parseListField = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [value];
+  } catch (parseError) {
+    return [value];
+  }
+};
+
+// Title for a batch file: the matching entry in `titles`, else its file name
+const titleForFile = (file, index, titles) => {
+  const title = titles[index] || file.originalname.replace(/\.[^.]+$/, "");
+  return String(title).trim().slice(0, 100) || "Untitled";
+};
+
+// @desc    Upload many files at once with shared defaults
+// @route   POST /api/media/batch
+// @access  Private (admin)
+router.post(
+  "/batch",
+  verifyToken,
+  requireAdmin,
+  limitBatchSize,
+  withFileSizeLimit(
+    batchUpload.array("files", uploadConfig.batch.maxFiles),
+    uploadConfig.batch.maxFileSize
+  ),
+  async (req, res) => {
+    try {
+      const files = req.files || [];
+
+      if (files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide at least one file",
+        });
+      }
+
+      const fields = await readUploadFields(req, res);
+      if (!fields) return;
+
+      // Per-file titles and descriptions, in file order
+      const titles = parseListField(req.body.titles);
+      const descriptions = parseListField(req.body.descriptions);
+
+      const duplicatePolicy = readDuplicatePolicy(req, res);
+      if (!duplicatePolicy) return;
+
+      const descriptionPrefix = req.body.descriptionPrefix || '';
+      const concurrency = parseInt(process.env.BATCH_UPLOAD_CONCURRENCY) || 3;
+
+      console.log(`POST /api/media/batch - ${files.length} files, concurrency ${concurrency}`);
+
+      const results = await mapWithConcurrency(files, concurrency, async (file, index) => {
+        if (fields.isHeroImage && file.mimetype.startsWith("video/")) {
+          throw new Error("Hero image must be an image file, not a video");
+        }
+
+        const { hashes, duplicates } = await checkDuplicates(file);
+        if (duplicates.length > 0 && duplicatePolicy === "reject") {
+          throw new Error(
+            `Already uploaded as: ${duplicates.map((item) => item.title).join(", ")}`
+          );
+        }
+
+        const fileInfo = await extractMetadata(file.buffer, file.mimetype);
+        const uploadResult = await storage.put(file.buffer, {
+          mimeType: file.mimetype,
+          fileName: file.originalname,
+        });
+
+        const media = buildMediaFromUpload(
+          {
+            ...fields,
+            title: titleForFile(file, index, titles),
+            description: [descriptionPrefix, descriptions[index]]
+              .filter(Boolean)
+              .join(" ")
+              .trim(),
+            uploadedBy: req.admin._id,
+          },
+          { ...uploadResult, storage: storage.name },
+          {
+            originalName: file.originalname,
+            size: file.size,
+            mimeType: file.mimetype,
+            ...hashes,
+            info: fileInfo,
+          }
+        );
+        await saveUploadedMedia(media, req.admin);
+
+        return { media, duplicates };
+      });
+
+      const succeeded = [];
+      const failed = [];
+      results.forEach((result, index) => {
+        const fileName = files[index].originalname;
+        if (result.error) {
+          console.error(`Batch upload failed for ${fileName}:`, result.error);
+          failed.push({ index, fileName, error: result.error.message });
+        } else {
+          succeeded.push({ index, fileName, ...result.value });
+        }
+      });
+
+      res.status(succeeded.length > 0 ? 201 : 400).json({
+        success: succeeded.length > 0,
+        message: `Uploaded ${succeeded.length} of ${files.length} files`,
+        data: {
+          summary: {
+            requested: files.length,
+            succeeded: succeeded.length,
+            failed: failed.length,
+          },
+          succeeded,
+          failed,
+        },
+      });
+    } catch (error) {
+      console.error("Error in batch upload:", error);
+      res.status(500).json({
+        success: false,
+        message: "Batch upload failed",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // @desc    Update a media item
 // @route   PUT /api/media/:id
 // @access  Private (admin)
@@ -336,7 +903,7 @@ router.put(
   "/:id",
   verifyToken,
   requireAdmin,
-  upload.single("file"),
+  withFileSizeLimit(upload.single("file"), MAX_FILE_SIZE),
   async (req, res) => {
     try {
       console.log('PUT /api/media/:id - Request params:', {
@@ -355,6 +922,9 @@ router.put(
         });
       }
 
+      // State before this update, for the revision history
+      const before = MediaRevision.snapshot(media);
+
       let newIsHeroImage = req.body.isHeroImage === 'true';
       let newCategory = req.body.category || media.category;
 
@@ -366,6 +936,13 @@ router.put(
 
       console.log('PUT /api/media - Processed values:', { newCategory, newIsHeroImage });
 
+      if (req.body.category && !(await Category.slugExists(newCategory))) {
+        return res.status(400).json({
+          success: false,
+          message: `Category "${newCategory}" does not exist`,
+        });
+      }
+
       // Determine if the media item is, or will be, an image
       const isImage = req.file 
         ? req.file.mimetype.startsWith("image/")
@@ -379,55 +956,59 @@ router.put(
         });
       }
 
-      // Check if hero status is changing to true
-      if (newIsHeroImage && isImage) {
-        const updateResult = await Media.updateMany(
-          { _id: { $ne: req.params.id } }, 
-          { isHeroImage: false }
-        );
-        console.log(`Unset ${updateResult.modifiedCount} previous hero images during update`);
+      // Hero images and releases can be scheduled; several hero candidates may coexist
+      let heroSchedule;
+      let publishSchedule;
+      try {
+        heroSchedule = parseHeroSchedule(req.body);
+        publishSchedule = parsePublishSchedule(req.body);
+      } catch (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          message: scheduleError.message,
+        });
       }
 
-      // If a new file is uploaded, update Cloudinary
+      // Exact copies of other media are reported, or refused with duplicates=reject
+      let duplicates = [];
+      let fileHashes;
+      if (req.file) {
+        const duplicatePolicy = readDuplicatePolicy(req, res);
+        if (!duplicatePolicy) return;
+
+        ({ hashes: fileHashes, duplicates } = await checkDuplicates(req.file, media._id));
+        if (duplicates.length > 0 && duplicatePolicy === "reject") {
+          return sendDuplicateRejection(res, duplicates);
+        }
+      }
+
+      // If a new file is uploaded, store it
       if (req.file) {
         try {
-          console.log('Uploading new file to Cloudinary');
-
-          // Delete old file from Cloudinary if it exists
-          if (media.cloudinaryPublicId) {
-            try {
-              await cloudinary.uploader.destroy(media.cloudinaryPublicId);
-              console.log('Deleted old file from Cloudinary:', media.cloudinaryPublicId);
-            } catch (deleteError) {
-              console.error('Error deleting old file:', deleteError);
-              // Continue anyway
-            }
-          }
+          console.log(`Uploading new file to ${storage.name} storage`);
 
-          // Upload new file
-          const uploadResult = await uploadToCloudinary(req.file.buffer, req.file.mimetype);
-
-          console.log('New file uploaded successfully:', uploadResult.public_id);
-
-          let thumbnailUrl = uploadResult.secure_url;
-          if (req.file.mimetype.startsWith("video/")) {
-            thumbnailUrl = cloudinary.url(
-              uploadResult.public_id + ".jpg",
-              {
-                resource_type: "video",
-                format: "jpg",
-                transformation: [{ width: 600, height: 400, crop: "fill" }],
-              }
-            );
-          }
+          // The old file is kept for its revision and released when that revision is pruned
+
+          // Inspect and upload the new file
+          const fileInfo = await extractMetadata(req.file.buffer, req.file.mimetype);
+          const uploadResult = await storage.put(req.file.buffer, {
+            mimeType: req.file.mimetype,
+            fileName: req.file.originalname,
+          });
+
+          console.log('New file uploaded successfully:', uploadResult.publicId);
 
           // Update media with new file info
-          media.url = uploadResult.secure_url;
-          media.thumbnailUrl = thumbnailUrl;
-          media.cloudinaryPublicId = uploadResult.public_id;
+          media.url = uploadResult.url;
+          media.thumbnailUrl = uploadResult.thumbnailUrl;
+          media.cloudinaryPublicId = uploadResult.publicId;
+          media.storage = storage.name;
           media.type = req.file.mimetype.startsWith("video/") ? "video" : "image";
           media.fileSize = req.file.size;
           media.mimeType = req.file.mimetype;
+          media.contentHash = fileHashes.contentHash;
+          media.perceptualHash = fileHashes.perceptualHash;
+          media.applyFileMetadata(fileInfo);
         } catch (uploadError) {
           console.error('Upload error:', uploadError);
           return res.status(500).json({
@@ -445,21 +1026,22 @@ router.put(
       
       // Handle tags
       if (req.body.tags !== undefined) {
-        if (typeof req.body.tags === 'string') {
-          media.tags = req.body.tags
-            .split(',')
-            .map(tag => tag.trim())
-            .filter(tag => tag);
-        } else if (Array.isArray(req.body.tags)) {
-          media.tags = req.body.tags;
-        }
+        media.tags = parseTags(req.body.tags);
       }
 
       if (req.body.isActive !== undefined) media.isActive = req.body.isActive === 'true' || req.body.isActive === true;
       if (req.body.isFeatured !== undefined) media.isFeatured = req.body.isFeatured === 'true' || req.body.isFeatured === true;
       
-      // Update isHeroImage
+      // Update isHeroImage and its schedule
       media.isHeroImage = newIsHeroImage;
+      Object.entries(heroSchedule).forEach(([key, value]) => {
+        media.set(`heroSchedule.${key}`, value);
+      });
+
+      // Update the release window
+      Object.entries(publishSchedule).forEach(([key, value]) => {
+        media.set(key, value);
+      });
 
       // Update metadata and SEO
       if (req.body.metadata) {
@@ -479,6 +1061,7 @@ router.put(
 
       // Save updates
       await media.save();
+      await MediaRevision.record(media, req.admin, { before });
 
       console.log('Media updated successfully:', {
         id: media._id,
@@ -491,7 +1074,7 @@ router.put(
       res.status(200).json({
         success: true,
         message: newIsHeroImage ? "Hero image updated successfully" : "Media updated successfully",
-        data: { media },
+        data: { media, duplicates },
       });
     } catch (error) {
       console.error("Error updating media:", error);
@@ -504,7 +1087,7 @@ router.put(
   }
 );
 
-// @desc    Delete a media item
+// @desc    Move a media item to the trash (purged later, see jobs/trashRetention.js)
 // @route   DELETE /api/media/:id
 // @access  Private (admin)
 router.delete("/:id", verifyToken, requireAdmin, async (req, res) => {
@@ -518,25 +1101,14 @@ router.delete("/:id", verifyToken, requireAdmin, async (req, res) => {
       });
     }
 
-    // Delete from Cloudinary if it was uploaded there
-    if (media.cloudinaryPublicId) {
-      try {
-        await cloudinary.uploader.destroy(media.cloudinaryPublicId);
-        console.log('Deleted from Cloudinary:', media.cloudinaryPublicId);
-      } catch (cloudinaryError) {
-        console.error("Cloudinary deletion error:", cloudinaryError);
-        // Continue with database deletion anyway
-      }
-    }
-
-    // Delete from database
-    await media.deleteOne();
+    await media.softDelete(req.admin);
 
-    console.log('Media deleted successfully:', req.params.id);
+    console.log('Media moved to trash:', req.params.id);
 
     res.status(200).json({
       success: true,
-      message: "Media deleted successfully",
+      message: "Media moved to trash",
+      data: { id: media._id, deletedAt: media.deletedAt },
     });
   } catch (error) {
     console.error("Error deleting media:", error);
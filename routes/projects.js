@@ -0,0 +1,364 @@
+const express = require("express");
+const { query, param, body, validationResult } = require("express-validator");
+const Project = require("../models/Project");
+const Media = require("../models/Media");
+const { verifyToken, requireAdmin } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Fields shown for media on public project pages (storage fields feed `variants`)
+const PUBLIC_MEDIA_FIELDS =
+  "title description type url thumbnailUrl dimensions duration tags category cloudinaryPublicId storage";
+
+// Fields shown for a project's cover media
+const COVER_MEDIA_FIELDS = "url thumbnailUrl title type cloudinaryPublicId storage";
+
+// Validation rules shared by create and update
+const projectValidation = [
+  body("title")
+    .optional()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 150 })
+    .withMessage("Title must be 1-150 characters"),
+  body("slug").optional().isSlug().withMessage("Slug is invalid"),
+  body("client").optional().isLength({ max: 100 }),
+  body("year").optional().isInt({ min: 1900, max: 2100 }),
+  body("role").optional().isLength({ max: 200 }),
+  body("synopsis").optional().isLength({ max: 2000 }),
+  body("credits").optional().isArray({ max: 100 }),
+  body("credits.*.role").optional().trim().notEmpty(),
+  body("credits.*.name").optional().trim().notEmpty(),
+  body("media").optional().isArray({ max: 500 }),
+  body("media.*").isMongoId().withMessage("Media IDs must be valid"),
+  body("coverMedia").optional({ values: "null" }).isMongoId(),
+  body("coverImageUrl").optional().isURL(),
+  body("isActive").optional().isBoolean(),
+  body("isFeatured").optional().isBoolean(),
+  body("sortOrder").optional().isInt(),
+];
+
+const EDITABLE_FIELDS = [
+  "title",
+  "slug",
+  "client",
+  "year",
+  "role",
+  "synopsis",
+  "credits",
+  "media",
+  "coverMedia",
+  "coverImageUrl",
+  "isActive",
+  "isFeatured",
+  "sortOrder",
+];
+
+// Returns the referenced media IDs that do not exist
+const findMissingMedia = async (mediaIds) => {
+  const ids = [...new Set(mediaIds.map(String))];
+  const existing = await Media.find({ _id: { $in: ids } }).distinct("_id");
+  const existingIds = new Set(existing.map(String));
+  return ids.filter((id) => !existingIds.has(id));
+};
+
+// Ensures media and cover references point at real media; sends a 400 if not
+const checkMediaReferences = async (req, res) => {
+  const referenced = [...(req.body.media || [])];
+  if (req.body.coverMedia) referenced.push(req.body.coverMedia);
+
+  if (referenced.length === 0) return true;
+
+  const missing = await findMissingMedia(referenced);
+  if (missing.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: "Some referenced media items do not exist",
+      data: { missing },
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// @desc    Get active projects (filter by year and client)
+// @route   GET /api/projects
+// @access  Public
+router.get(
+  "/",
+  [
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+    query("year").optional().isInt({ min: 1900, max: 2100 }),
+    query("client").optional().isLength({ max: 100 }),
+    query("isFeatured").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { page = 1, limit = 20, year, client, isFeatured } = req.query;
+
+      const filter = { isActive: true };
+      if (year) filter.year = parseInt(year);
+      if (client) {
+        filter.client = new RegExp(`^${Media.escapeRegex(client.trim())}$`, "i");
+      }
+      if (isFeatured !== undefined) filter.isFeatured = isFeatured === "true";
+
+      const skip = (page - 1) * limit;
+
+      const [projects, total] = await Promise.all([
+        Project.find(filter)
+          .select("-media -createdBy")
+          .populate({
+            path: "coverMedia",
+            match: Media.publicFilter(),
+            select: COVER_MEDIA_FIELDS,
+          })
+          .sort({ sortOrder: 1, year: -1, createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Project.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          projects,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: parseInt(limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching projects:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch projects",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @desc    Get a single active project with its ordered media
+// @route   GET /api/projects/:slug
+// @access  Public
+router.get("/:slug", [param("slug").isSlug()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const project = await Project.findOne({
+      slug: req.params.slug,
+      isActive: true,
+    })
+      .select("-createdBy")
+      .populate({
+        path: "media",
+        match: Media.publicFilter(),
+        select: PUBLIC_MEDIA_FIELDS,
+      })
+      .populate({
+        path: "coverMedia",
+        match: Media.publicFilter(),
+        select: COVER_MEDIA_FIELDS,
+      });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    // Populate drops non-matching entries as null; keep the order, skip the gaps
+    project.media = project.media.filter(Boolean);
+
+    res.status(200).json({
+      success: true,
+      data: { project },
+    });
+  } catch (error) {
+    console.error("Error fetching project:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch project",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Create a project
+// @route   POST /api/projects
+// @access  Private (admin)
+router.post(
+  "/",
+  verifyToken,
+  requireAdmin,
+  [
+    body("title").trim().notEmpty().withMessage("Title is required"),
+    ...projectValidation,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
+      if (!(await checkMediaReferences(req, res))) return;
+
+      const project = new Project({ createdBy: req.admin._id });
+      EDITABLE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) project[field] = req.body[field];
+      });
+
+      await project.save();
+
+      res.status(201).json({
+        success: true,
+        message: "Project created successfully",
+        data: { project },
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: "A project with this slug already exists",
+        });
+      }
+
+      console.error("Error creating project:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create project",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @desc    Update a project
+// @route   PUT /api/projects/:id
+// @access  Private (admin)
+router.put(
+  "/:id",
+  verifyToken,
+  requireAdmin,
+  [param("id").isMongoId().withMessage("Invalid project ID"), ...projectValidation],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
+      const project = await Project.findById(req.params.id);
+
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          message: "Project not found",
+        });
+      }
+
+      if (!(await checkMediaReferences(req, res))) return;
+
+      EDITABLE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) project[field] = req.body[field];
+      });
+
+      await project.save();
+
+      res.status(200).json({
+        success: true,
+        message: "Project updated successfully",
+        data: { project },
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: "A project with this slug already exists",
+        });
+      }
+
+      console.error("Error updating project:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update project",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @desc    Delete a project (its media items are kept)
+// @route   DELETE /api/projects/:id
+// @access  Private (admin)
+router.delete(
+  "/:id",
+  verifyToken,
+  requireAdmin,
+  [param("id").isMongoId().withMessage("Invalid project ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+        });
+      }
+
+      const project = await Project.findByIdAndDelete(req.params.id);
+
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          message: "Project not found",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Project deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting project:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete project",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,704 @@
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const fs = require("fs");
+const path = require("path");
+const { getStorage } = require("../storage");
+const { extractMetadata, qualityTier } = require("../utils/mediaMetadata");
+const { DUPLICATE_POLICIES, perceptualHash } = require("../utils/mediaHash");
+const Media = require("../models/Media");
+const UploadSession = require("../models/UploadSession");
+const uploadConfig = require("../config/uploads");
+const { verifyToken, requireAdmin } = require("../middleware/auth");
+const {
+  isAllowedMimeType,
+  readUploadFields,
+  buildMediaFromUpload,
+  saveUploadedMedia,
+} = require("../middleware/upload");
+const { body, param, validationResult } = require("express-validator");
+
+// Every upload route is admin-only
+router.use(verifyToken, requireAdmin);
+
+// Sessions stay alive this long after their latest activity
+const nextExpiry = () => new Date(Date.now() + uploadConfig.sessionTtlMs);
+
+// Find an upload session owned by the current admin; sends a 404 if missing
+const findSession = async (req, res) => {
+  const session = await UploadSession.findOne({
+    uploadId: req.params.uploadId,
+    admin: req.admin._id,
+  });
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: "Upload session not found",
+    });
+    return null;
+  }
+
+  return session;
+};
+
+// Public view of a session's progress
+const sessionProgress = (session) => ({
+  uploadId: session.uploadId,
+  fileName: session.fileName,
+  mimeType: session.mimeType,
+  totalSize: session.totalSize,
+  chunkSize: session.chunkSize,
+  totalChunks: session.totalChunks,
+  receivedChunks: [...session.receivedChunks].sort((a, b) => a - b),
+  missingChunks: session.missingChunks(),
+  receivedOffset: session.receivedOffset(),
+  status: session.status,
+  expiresAt: session.expiresAt,
+});
+
+// Chunked uploads go to the configured driver; direct uploads need one that can sign them
+const storage = getStorage();
+
+// Validation rules for the media fields sent when an upload starts
+const mediaFieldValidation = [
+  body("fileName").trim().notEmpty().withMessage("File name is required"),
+  body("mimeType")
+    .custom(isAllowedMimeType)
+    .withMessage("Invalid file type. Only images and videos are allowed."),
+  body("title").optional().trim().isLength({ max: 100 }),
+  body("description").optional().isLength({ max: 500 }),
+  body("category").optional().isSlug(),
+  body("status").optional().isIn(Media.INITIAL_STATUSES),
+];
+
+// Read and check the media fields applied once an upload completes.
+// Sends a 400/403 and resolves to null when they are not acceptable.
+const readMediaFields = async (req, res) => {
+  const fields = await readUploadFields(req, res, { mimeType: req.body.mimeType });
+  if (!fields) return null;
+
+  return {
+    ...fields,
+    title: req.body.title || path.parse(req.body.fileName).name,
+    description: req.body.description || "",
+  };
+};
+
+// Create the media item for a stored upload (see buildMediaFromUpload)
+const createUploadedMedia = (admin, uploadResult, fields, file) =>
+  saveUploadedMedia(
+    buildMediaFromUpload(
+      { ...fields, uploadedBy: admin._id },
+      { ...uploadResult, storage: storage.name },
+      file
+    ),
+    admin
+  );
+
+// @desc    Start a resumable upload
+// @route   POST /api/media/uploads
+// @access  Private (admin)
+router.post(
+  "/",
+  [
+    ...mediaFieldValidation,
+    body("totalSize")
+      .isInt({ min: 1, max: uploadConfig.maxFileSize })
+      .withMessage(`File size must be between 1 byte and ${uploadConfig.maxFileSize} bytes`),
+    body("chunkSize")
+      .optional()
+      .isInt({ min: uploadConfig.minChunkSize, max: uploadConfig.maxChunkSize })
+      .withMessage(
+        `Chunk size must be between ${uploadConfig.minChunkSize} and ${uploadConfig.maxChunkSize} bytes`
+      ),
+    body("checksum")
+      .optional()
+      .isHash("sha256")
+      .withMessage("Checksum must be a SHA-256 hex digest"),
+    body("duplicates")
+      .optional()
+      .isIn(DUPLICATE_POLICIES)
+      .withMessage(`duplicates must be one of: ${DUPLICATE_POLICIES.join(", ")}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
+      const mediaFields = await readMediaFields(req, res);
+      if (!mediaFields) return;
+
+      // With a checksum up front, a known file can be refused before any chunk is sent
+      const duplicatePolicy = req.body.duplicates || "warn";
+      if (req.body.checksum && duplicatePolicy === "reject") {
+        const duplicates = await Media.findExactDuplicates(req.body.checksum.toLowerCase());
+        if (duplicates.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: "This file has already been uploaded",
+            data: { duplicates },
+          });
+        }
+      }
+
+      const totalSize = parseInt(req.body.totalSize);
+      const chunkSize = parseInt(req.body.chunkSize) || uploadConfig.defaultChunkSize;
+
+      const session = new UploadSession({
+        uploadId: crypto.randomUUID(),
+        admin: req.admin._id,
+        fileName: req.body.fileName,
+        mimeType: req.body.mimeType,
+        totalSize,
+        chunkSize,
+        totalChunks: Math.ceil(totalSize / chunkSize),
+        checksum: req.body.checksum,
+        duplicatePolicy,
+        mediaFields,
+        expiresAt: nextExpiry(),
+      });
+
+      await fs.promises.mkdir(session.stagingPath(), { recursive: true });
+      await session.save();
+
+      console.log(
+        `📦 Upload session ${session.uploadId} started: ${session.fileName} (${totalSize} bytes, ${session.totalChunks} chunks)`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Upload session created",
+        data: { upload: sessionProgress(session) },
+      });
+    } catch (error) {
+      console.error("Error creating upload session:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create upload session",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Audience of direct upload tokens, so they are never accepted as sessions
+const DIRECT_UPLOAD_AUDIENCE = "direct-upload";
+
+// @desc    Issue signed parameters for a browser upload straight to storage
+// @route   POST /api/media/uploads/direct
+// @access  Private (admin)
+router.post("/direct", mediaFieldValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    if (!storage.signUpload) {
+      return res.status(400).json({
+        success: false,
+        message: `Direct uploads are not supported by the ${storage.name} storage driver`,
+      });
+    }
+
+    const mediaFields = await readMediaFields(req, res);
+    if (!mediaFields) return;
+
+    const signed = storage.signUpload({ mimeType: req.body.mimeType });
+    const expiresAt = new Date(Date.now() + uploadConfig.directUploadTtlMs);
+
+    // Everything needed to complete the upload travels in a short-lived token
+    const uploadToken = jwt.sign(
+      {
+        purpose: "direct-upload",
+        adminId: req.admin._id,
+        publicId: signed.publicId,
+        resourceType: signed.resourceType,
+        fileName: req.body.fileName,
+        mimeType: req.body.mimeType,
+        mediaFields,
+      },
+      process.env.JWT_SECRET,
+      {
+        expiresIn: Math.floor(uploadConfig.directUploadTtlMs / 1000),
+        audience: DIRECT_UPLOAD_AUDIENCE,
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Direct upload authorized",
+      data: {
+        uploadUrl: signed.uploadUrl,
+        fields: signed.fields,
+        uploadToken,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error signing direct upload:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to authorize direct upload",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Verify a finished direct upload and create its media item
+//          (body: uploadToken plus public_id, version and signature from storage)
+// @route   POST /api/media/uploads/direct/complete
+// @access  Private (admin)
+router.post(
+  "/direct/complete",
+  [
+    body("uploadToken").notEmpty().withMessage("Upload token is required"),
+    body("public_id").notEmpty().withMessage("public_id is required"),
+    body("version").notEmpty().withMessage("version is required"),
+    body("signature").notEmpty().withMessage("signature is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: errors.array()[0].msg,
+          errors: errors.array(),
+        });
+      }
+
+      let token;
+      try {
+        token = jwt.verify(req.body.uploadToken, process.env.JWT_SECRET, {
+          audience: DIRECT_UPLOAD_AUDIENCE,
+        });
+      } catch (tokenError) {
+        return res.status(400).json({
+          success: false,
+          message:
+            tokenError.name === "TokenExpiredError"
+              ? "Upload token expired, please upload the file again"
+              : "Invalid upload token",
+        });
+      }
+
+      if (token.purpose !== "direct-upload" || String(token.adminId) !== String(req.admin._id)) {
+        return res.status(403).json({
+          success: false,
+          message: "Upload token was not issued to you",
+        });
+      }
+
+      const { public_id: publicId, version, signature } = req.body;
+
+      if (
+        publicId !== token.publicId ||
+        !storage.verifyUpload ||
+        !storage.inspectUpload ||
+        !storage.verifyUpload({ publicId, version, signature })
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Upload signature does not match the authorized upload",
+        });
+      }
+
+      if (await Media.exists({ cloudinaryPublicId: publicId })) {
+        return res.status(409).json({
+          success: false,
+          message: "This upload has already been completed",
+        });
+      }
+
+      const uploadResult = {
+        publicId,
+        url: storage.url(publicId, { resourceType: token.resourceType }),
+        thumbnailUrl: storage.thumbnailUrl(publicId, { resourceType: token.resourceType }),
+        resourceType: token.resourceType,
+      };
+
+      // The file never passed through this server, and the client's upload
+      // response is only signed for its ID, so ask storage what was stored
+      const stored = await storage.inspectUpload(publicId, { resourceType: token.resourceType });
+
+      // Anything rejected below is removed from storage again
+      const discardUpload = () =>
+        storage
+          .delete(publicId, { resourceType: token.resourceType })
+          .catch((destroyError) => console.error("Cleanup error:", destroyError));
+
+      // The signed URL accepts any file, so the stored type must be the declared one
+      const declaredMimeType = token.mimeType === "image/jpg" ? "image/jpeg" : token.mimeType;
+      if (!isAllowedMimeType(stored.mimeType) || stored.mimeType !== declaredMimeType) {
+        await discardUpload();
+
+        return res.status(415).json({
+          success: false,
+          message: `Stored file type "${stored.format || "unknown"}" does not match the declared ${token.mimeType}`,
+        });
+      }
+
+      if (!stored.bytes || stored.bytes > uploadConfig.maxFileSize) {
+        await discardUpload();
+
+        return res.status(413).json({
+          success: false,
+          message: `File must be between 1 byte and ${uploadConfig.maxFileSize} bytes`,
+        });
+      }
+
+      const media = await createUploadedMedia(req.admin, uploadResult, token.mediaFields, {
+        originalName: token.fileName,
+        size: stored.bytes,
+        mimeType: stored.mimeType,
+        info: {
+          width: stored.width,
+          height: stored.height,
+          duration: stored.duration,
+          frameRate: stored.frameRate,
+          codec: stored.codec,
+          quality: qualityTier(stored.width, stored.height),
+        },
+      });
+
+      console.log(`✅ Direct upload ${publicId} completed as media ${media._id}`);
+
+      res.status(201).json({
+        success: true,
+        message: "Media created successfully",
+        data: { media },
+      });
+    } catch (error) {
+      console.error("Error completing direct upload:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to complete direct upload",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @desc    Get the progress of an upload (to resume it)
+// @route   GET /api/media/uploads/:uploadId
+// @access  Private (admin)
+router.get("/:uploadId", [param("uploadId").isUUID()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(404).json({
+        success: false,
+        message: "Upload session not found",
+      });
+    }
+
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    res.status(200).json({
+      success: true,
+      data: { upload: sessionProgress(session) },
+    });
+  } catch (error) {
+    console.error("Error fetching upload session:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch upload session",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Upload one chunk (raw bytes, SHA-256 in the X-Chunk-Checksum header)
+// @route   PUT /api/media/uploads/:uploadId/chunks/:index
+// @access  Private (admin)
+router.put(
+  "/:uploadId/chunks/:index",
+  express.raw({ type: "application/octet-stream", limit: uploadConfig.maxChunkSize }),
+  [param("uploadId").isUUID(), param("index").isInt({ min: 0 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid upload ID or chunk index",
+        });
+      }
+
+      const session = await findSession(req, res);
+      if (!session) return;
+
+      if (session.status !== "uploading") {
+        return res.status(409).json({
+          success: false,
+          message: `Upload is already ${session.status}`,
+        });
+      }
+
+      const index = parseInt(req.params.index);
+      if (index >= session.totalChunks) {
+        return res.status(400).json({
+          success: false,
+          message: `Chunk index must be below ${session.totalChunks}`,
+        });
+      }
+
+      if (!Buffer.isBuffer(req.body)) {
+        return res.status(400).json({
+          success: false,
+          message: "Chunk must be sent as application/octet-stream",
+        });
+      }
+
+      const expectedSize = session.expectedChunkSize(index);
+      if (req.body.length !== expectedSize) {
+        return res.status(400).json({
+          success: false,
+          message: `Chunk ${index} must be ${expectedSize} bytes, got ${req.body.length}`,
+        });
+      }
+
+      const expectedChecksum = (req.header("X-Chunk-Checksum") || "").toLowerCase();
+      const checksum = crypto.createHash("sha256").update(req.body).digest("hex");
+      if (checksum !== expectedChecksum) {
+        return res.status(422).json({
+          success: false,
+          message: `Checksum mismatch for chunk ${index}, please resend it`,
+        });
+      }
+
+      // Write under a temporary name so a half-written chunk is never picked up
+      const chunkPath = session.chunkPath(index);
+      await fs.promises.mkdir(session.stagingPath(), { recursive: true });
+      await fs.promises.writeFile(`${chunkPath}.tmp`, req.body);
+      await fs.promises.rename(`${chunkPath}.tmp`, chunkPath);
+
+      const updated = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: "uploading" },
+        {
+          $addToSet: { receivedChunks: index },
+          $set: { expiresAt: nextExpiry() },
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: "Upload is no longer accepting chunks",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Chunk ${index} received`,
+        data: { upload: sessionProgress(updated) },
+      });
+    } catch (error) {
+      console.error("Error receiving chunk:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to receive chunk",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @desc    Assemble the chunks, store the file and create the media item
+// @route   POST /api/media/uploads/:uploadId/complete
+// @access  Private (admin)
+router.post("/:uploadId/complete", [param("uploadId").isUUID()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(404).json({
+        success: false,
+        message: "Upload session not found",
+      });
+    }
+
+    const existing = await findSession(req, res);
+    if (!existing) return;
+
+    if (existing.status === "completed") {
+      return res.status(200).json({
+        success: true,
+        message: "Upload already completed",
+        data: { media: existing.media },
+      });
+    }
+
+    const missingChunks = existing.missingChunks();
+    if (missingChunks.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${missingChunks.length} chunks are still missing`,
+        data: { upload: sessionProgress(existing) },
+      });
+    }
+
+    // Claim the session so a repeated request can't complete it twice
+    const session = await UploadSession.findOneAndUpdate(
+      { _id: existing._id, status: "uploading" },
+      { $set: { status: "completing", expiresAt: nextExpiry() } },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(409).json({
+        success: false,
+        message: "Upload is already being completed",
+      });
+    }
+
+    const assembledPath = path.join(
+      session.stagingPath(),
+      `assembled${path.extname(session.fileName)}`
+    );
+
+    let uploadResult;
+    let fileInfo;
+    let hashes;
+    let duplicates;
+    try {
+      const checksum = await session.assembleChunks(assembledPath);
+      const { size } = await fs.promises.stat(assembledPath);
+
+      if (size !== session.totalSize || (session.checksum && checksum !== session.checksum)) {
+        // Chunks were verified one by one, so start over rather than resume
+        await fs.promises.rm(session.stagingPath(), { recursive: true, force: true });
+        await fs.promises.mkdir(session.stagingPath(), { recursive: true });
+        session.receivedChunks = [];
+        session.status = "uploading";
+        await session.save();
+
+        return res.status(422).json({
+          success: false,
+          message: "Assembled file does not match the expected size or checksum, please upload it again",
+        });
+      }
+
+      hashes = {
+        contentHash: checksum,
+        perceptualHash: await perceptualHash(assembledPath, session.mimeType),
+      };
+      duplicates = await Media.findExactDuplicates(checksum);
+
+      if (duplicates.length > 0 && session.duplicatePolicy === "reject") {
+        await session.removeStagedFiles();
+        await session.deleteOne();
+
+        return res.status(409).json({
+          success: false,
+          message: "This file has already been uploaded",
+          data: { duplicates },
+        });
+      }
+
+      fileInfo = await extractMetadata(assembledPath, session.mimeType);
+      uploadResult = await storage.put(assembledPath, {
+        mimeType: session.mimeType,
+        fileName: session.fileName,
+      });
+    } catch (uploadError) {
+      // Chunks stay staged so completion can be retried
+      session.status = "uploading";
+      await session.save();
+      await fs.promises.rm(assembledPath, { force: true });
+      throw uploadError;
+    }
+
+    let media;
+    try {
+      media = await createUploadedMedia(req.admin, uploadResult, session.mediaFields, {
+        originalName: session.fileName,
+        size: session.totalSize,
+        mimeType: session.mimeType,
+        ...hashes,
+        info: fileInfo,
+      });
+    } catch (saveError) {
+      session.status = "uploading";
+      await session.save();
+      await fs.promises.rm(assembledPath, { force: true });
+      throw saveError;
+    }
+
+    session.status = "completed";
+    session.media = media._id;
+    await session.save();
+    await session.removeStagedFiles();
+
+    console.log(`✅ Upload session ${session.uploadId} completed as media ${media._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Media created successfully",
+      data: { media, duplicates },
+    });
+  } catch (error) {
+    console.error("Error completing upload:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to complete upload",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Abort an upload and discard its chunks
+// @route   DELETE /api/media/uploads/:uploadId
+// @access  Private (admin)
+router.delete("/:uploadId", [param("uploadId").isUUID()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(404).json({
+        success: false,
+        message: "Upload session not found",
+      });
+    }
+
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    if (session.status === "completing") {
+      return res.status(409).json({
+        success: false,
+        message: "Upload is being completed and can't be aborted",
+      });
+    }
+
+    await session.removeStagedFiles();
+    await session.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Upload aborted",
+    });
+  } catch (error) {
+    console.error("Error aborting upload:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to abort upload",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -10,12 +10,36 @@ require("dotenv").config();
 // Import routes
 const authRoutes = require("./routes/auth");
 const mediaRoutes = require("./routes/media");
+const uploadRoutes = require("./routes/uploads");
 const adminRoutes = require("./routes/admin");
 const mailRoutes = require("./routes/mail");
+const categoryRoutes = require("./routes/categories");
+const projectRoutes = require("./routes/projects");
+
+// Import storage
+const { getStorage } = require("./storage");
 
 // Import middleware
 const errorHandler = require("./middleware/errorHandler");
 
+// Import models
+const Category = require("./models/Category");
+const Media = require("./models/Media");
+
+// Import background jobs
+const {
+  startMediaScheduler,
+  stopMediaScheduler,
+} = require("./jobs/mediaScheduler");
+const {
+  startTrashRetention,
+  stopTrashRetention,
+} = require("./jobs/trashRetention");
+const {
+  startUploadCleanup,
+  stopUploadCleanup,
+} = require("./jobs/uploadCleanup");
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 const nodemailer = require("nodemailer");
@@ -33,6 +57,8 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
   message: "Too many requests from this IP, please try again later.",
+  // Chunked uploads send hundreds of authenticated chunk requests per file
+  skip: (req) => req.method === "PUT" && /^\/media\/uploads\/[^/]+\/chunks\//.test(req.path),
 });
 app.use("/api/", limiter);
 
@@ -65,6 +91,25 @@ if (process.env.NODE_ENV === "development") {
   app.use(morgan("combined"));
 }
 
+// Serve locally stored uploads (STORAGE_DRIVER=local)
+const storage = getStorage();
+if (storage.name === "local") {
+  app.use(
+    storage.routePath,
+    express.static(storage.root, {
+      maxAge: "7d",
+      setHeaders: (res) => {
+        // The frontend is on another origin; helmet blocks that by default
+        res.set("Cross-Origin-Resource-Policy", "cross-origin");
+        // Never let a stored file run as a page on the API origin
+        res.set("X-Content-Type-Options", "nosniff");
+        res.set("Content-Security-Policy", "default-src 'none'; sandbox");
+      },
+    })
+  );
+  console.log(`📁 Serving local storage from ${storage.root} at ${storage.routePath}`);
+}
+
 // Database connection
 mongoose
   .connect(
@@ -74,8 +119,13 @@ mongoose
       useUnifiedTopology: true,
     }
   )
-  .then(() => {
+  .then(async () => {
     console.log("✅ Connected to MongoDB");
+    await Category.createDefaultCategories();
+    await Media.backfillStatus();
+    startMediaScheduler();
+    startTrashRetention();
+    startUploadCleanup();
   })
   .catch((error) => {
     console.error("❌ MongoDB connection error:", error);
@@ -94,8 +144,11 @@ app.get("/api/health", (req, res) => {
 
 // API routes
 app.use("/api/auth", authRoutes);
+app.use("/api/media/uploads", uploadRoutes);
 app.use("/api/media", mediaRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/projects", projectRoutes);
 app.use("/api", mailRoutes);
 
 // Root endpoint
@@ -106,7 +159,10 @@ app.get("/", (req, res) => {
     endpoints: {
       auth: "/api/auth",
       media: "/api/media",
+      uploads: "/api/media/uploads",
       admin: "/api/admin",
+      categories: "/api/categories",
+      projects: "/api/projects",
       health: "/api/health",
     },
   });
@@ -129,6 +185,9 @@ process.on("SIGINT", async () => {
   console.log("\n🔄 Shutting down gracefully...");
 
   try {
+    stopMediaScheduler();
+    stopTrashRetention();
+    stopUploadCleanup();
     await mongoose.connection.close();
     console.log("✅ MongoDB connection closed");
     process.exit(0);
@@ -0,0 +1,176 @@
+const crypto = require("crypto");
+const streamifier = require("streamifier");
+const cloudinary = require("../config/cloudinary");
+const { presets } = require("../config/variants");
+
+// Files above this size are sent to Cloudinary in chunks
+const LARGE_FILE_CHUNK_SIZE = 20 * 1024 * 1024;
+
+// Cloudinary keeps images and videos apart
+const resourceTypeFor = (mimeType) =>
+  mimeType.startsWith("video/") ? "video" : "image";
+
+// Map a Cloudinary upload result onto the storage result shape
+const toResult = (result) => ({
+  publicId: result.public_id,
+  url: result.secure_url,
+  thumbnailUrl: thumbnailUrl(result.public_id, { resourceType: result.resource_type }),
+  resourceType: result.resource_type,
+  bytes: result.bytes,
+  format: result.format,
+  width: result.width,
+  height: result.height,
+  duration: result.duration,
+});
+
+// Promise wrapper for the callback-style uploader methods
+const callUploader = (method, source, options) => {
+  return new Promise((resolve, reject) => {
+    const callback = (error, result) => {
+      if (error) {
+        console.error("Cloudinary Upload Error:", error);
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    if (method === "upload_stream") {
+      const stream = cloudinary.uploader.upload_stream(options, callback);
+      streamifier.createReadStream(source).pipe(stream);
+    } else {
+      cloudinary.uploader[method](source, options, callback);
+    }
+  });
+};
+
+// Store a file given as a Buffer or as a path on disk
+const put = async (source, { mimeType, folder }) => {
+  const options = { folder, resource_type: resourceTypeFor(mimeType) };
+
+  const result = Buffer.isBuffer(source)
+    ? await callUploader("upload_stream", source, options)
+    : await callUploader("upload_large", source, {
+        ...options,
+        chunk_size: LARGE_FILE_CHUNK_SIZE,
+      });
+
+  return toResult(result);
+};
+
+// Delete a stored file
+const remove = async (publicId, { resourceType = "image" } = {}) => {
+  await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+};
+
+// Public URL of a stored file
+const url = (publicId, { resourceType = "image" } = {}) =>
+  cloudinary.url(publicId, { resource_type: resourceType, secure: true, urlAnalytics: false });
+
+// URL of a transformed copy (resized, re-encoded, blurred or a video frame)
+const variantUrl = (
+  publicId,
+  { resourceType = "image", width, height, crop, quality, blur, format, startOffset } = {}
+) => {
+  const transformation = {
+    width,
+    height,
+    crop,
+    quality: quality || "auto",
+    effect: blur ? `blur:${blur}` : undefined,
+    start_offset: startOffset,
+  };
+  Object.keys(transformation).forEach((key) => {
+    if (transformation[key] === undefined) delete transformation[key];
+  });
+
+  return cloudinary.url(publicId, {
+    resource_type: resourceType,
+    format,
+    secure: true,
+    urlAnalytics: false,
+    transformation: [transformation],
+  });
+};
+
+// Preview image URL: a frame grab for videos, the file itself for images
+function thumbnailUrl(publicId, { resourceType = "image" } = {}) {
+  if (resourceType !== "video") return url(publicId, { resourceType });
+
+  return variantUrl(publicId, { resourceType, ...presets.thumbnail });
+}
+
+// Signed parameters letting a browser upload one file straight to Cloudinary.
+// The public ID is fixed up front so the completed upload can be matched to it.
+const signUpload = ({ mimeType, folder }) => {
+  const { api_key: apiKey, api_secret: apiSecret, cloud_name: cloudName } =
+    cloudinary.config();
+  const resourceType = resourceTypeFor(mimeType);
+  const params = {
+    public_id: `${folder}/${crypto.randomUUID()}`,
+    timestamp: Math.round(Date.now() / 1000),
+  };
+
+  return {
+    publicId: params.public_id,
+    resourceType,
+    uploadUrl: `https://api.cloudinary.com/v1_1/${cloudName}/${resourceType}/upload`,
+    fields: {
+      ...params,
+      api_key: apiKey,
+      signature: cloudinary.utils.api_sign_request(params, apiSecret),
+    },
+  };
+};
+
+// Check the signature Cloudinary returns with a completed upload
+const verifyUpload = ({ publicId, version, signature }) =>
+  cloudinary.utils.verify_api_response_signature(publicId, version, signature);
+
+// MIME types of the formats Cloudinary reports for allowlisted uploads
+const FORMAT_MIME_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  mp4: "video/mp4",
+  mpeg: "video/mpeg",
+  mpg: "video/mpeg",
+  mov: "video/quicktime",
+  avi: "video/x-msvideo",
+};
+
+// Look up a stored file's real size, type and media details (the client's
+// upload response is not signed for these). Resolves to
+// { bytes, format, mimeType, width, height, duration, frameRate, codec };
+// mimeType is undefined for formats outside the upload allowlist.
+const inspectUpload = async (publicId, { resourceType = "image" } = {}) => {
+  const result = await cloudinary.api.resource(publicId, {
+    resource_type: resourceType,
+    media_metadata: resourceType === "video",
+  });
+
+  return {
+    bytes: result.bytes,
+    format: result.format,
+    mimeType: FORMAT_MIME_TYPES[result.format],
+    width: result.width,
+    height: result.height,
+    duration: result.duration,
+    frameRate: result.frame_rate,
+    codec: result.video && result.video.codec,
+  };
+};
+
+module.exports = {
+  name: "cloudinary",
+  put,
+  delete: remove,
+  url,
+  thumbnailUrl,
+  variantUrl,
+  signUpload,
+  verifyUpload,
+  inspectUpload,
+};
@@ -0,0 +1,47 @@
+const config = require("../config/storage");
+const cloudinaryStorage = require("./cloudinary");
+const localStorage = require("./local");
+
+// Every adapter exposes the same interface:
+//   put(source, { mimeType, fileName }) -> { publicId, url, thumbnailUrl, resourceType, bytes, ... }
+//   delete(publicId, { resourceType })
+//   url(publicId, { resourceType })
+//   thumbnailUrl(publicId, { resourceType })
+// Adapters that can transform files on the fly also expose
+//   variantUrl(publicId, { resourceType, width, height, crop, quality, blur, format, startOffset })
+// Adapters that support direct browser uploads also expose
+//   signUpload({ mimeType }) -> { publicId, resourceType, uploadUrl, fields }
+//   verifyUpload({ publicId, version, signature }) -> boolean
+//   inspectUpload(publicId, { resourceType }) -> { bytes, format, mimeType, width, height, duration, ... }
+const adapters = {
+  cloudinary: cloudinaryStorage,
+  local: localStorage,
+};
+
+const STORAGE_DRIVERS = Object.keys(adapters);
+
+if (!adapters[config.driver]) {
+  throw new Error(
+    `Unknown STORAGE_DRIVER "${config.driver}" (expected one of: ${STORAGE_DRIVERS.join(", ")})`
+  );
+}
+
+// Get a storage adapter: the configured one by default, or the one a stored
+// file was written with (media remember their driver in `storage`)
+const getStorage = (name = config.driver) => {
+  const adapter = adapters[name] || adapters.cloudinary;
+
+  return {
+    ...adapter,
+    put: (source, options = {}) =>
+      adapter.put(source, { folder: config.folder, ...options }),
+    signUpload:
+      adapter.signUpload &&
+      ((options = {}) => adapter.signUpload({ folder: config.folder, ...options })),
+  };
+};
+
+module.exports = {
+  STORAGE_DRIVERS,
+  getStorage,
+};
@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { local: config } = require("../config/storage");
+
+// File extensions for the allowed MIME types (see middleware/upload.js)
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/jpg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "video/mp4": ".mp4",
+  "video/mpeg": ".mpeg",
+  "video/quicktime": ".mov",
+  "video/x-msvideo": ".avi",
+};
+
+// Resolve a public ID to a path inside the storage root, refusing anything outside it
+const filePath = (publicId) => {
+  const root = path.resolve(config.root);
+  const resolved = path.resolve(root, publicId);
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage path: ${publicId}`);
+  }
+  return resolved;
+};
+
+// Store a file given as a Buffer or as a path on disk. Files are served
+// from the API origin, so only allowlisted types are accepted and the
+// extension always comes from the MIME type, never from the client's name.
+const put = async (source, { mimeType, folder }) => {
+  const extension = EXTENSIONS[mimeType];
+  if (!extension) {
+    throw new Error(`Unsupported file type for local storage: ${mimeType}`);
+  }
+  const publicId = path.posix.join(folder, `${crypto.randomUUID()}${extension}`);
+  const target = filePath(publicId);
+
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+  if (Buffer.isBuffer(source)) {
+    await fs.promises.writeFile(target, source);
+  } else {
+    await fs.promises.copyFile(source, target);
+  }
+
+  const { size } = await fs.promises.stat(target);
+  const resourceType = mimeType.startsWith("video/") ? "video" : "image";
+
+  return {
+    publicId,
+    url: url(publicId),
+    thumbnailUrl: thumbnailUrl(publicId, { resourceType }),
+    resourceType,
+    bytes: size,
+    format: extension.replace(".", ""),
+  };
+};
+
+// Delete a stored file (missing files are ignored)
+const remove = async (publicId) => {
+  await fs.promises.rm(filePath(publicId), { force: true });
+};
+
+// Public URL of a stored file
+const url = (publicId) => `${config.baseUrl.replace(/\/$/, "")}/${publicId}`;
+
+// Preview image URL. Video frames can't be extracted locally, so videos have none
+const thumbnailUrl = (publicId, { resourceType = "image" } = {}) =>
+  resourceType === "video" ? null : url(publicId);
+
+module.exports = {
+  name: "local",
+  root: config.root,
+  routePath: config.routePath,
+  put,
+  delete: remove,
+  url,
+  thumbnailUrl,
+};
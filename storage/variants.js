@@ -0,0 +1,63 @@
+const { presets } = require("../config/variants");
+const { getStorage } = require("./index");
+
+// Build a srcset string ("url 320w, url 640w") for one format
+const buildSrcset = (storage, publicId, resourceType, preset, format) =>
+  preset.widths
+    .map((width) => {
+      const url = storage.variantUrl(publicId, { ...preset, resourceType, width, format });
+      return `${url} ${width}w`;
+    })
+    .join(", ");
+
+// Variant URLs for every preset that applies to the media type
+const buildPresetUrls = (storage, media) => {
+  const publicId = media.cloudinaryPublicId;
+  const resourceType = media.type === "video" ? "video" : "image";
+
+  return Object.entries(presets).reduce((variants, [name, preset]) => {
+    const { widths, formats, offsets, mediaTypes, ...transform } = preset;
+    if (mediaTypes && !mediaTypes.includes(media.type)) return variants;
+
+    if (widths) {
+      variants[name] = (formats || [transform.format]).reduce((srcset, format) => {
+        srcset[format || "original"] = buildSrcset(storage, publicId, resourceType, preset, format);
+        return srcset;
+      }, {});
+    } else if (offsets) {
+      variants[name] = offsets.map((offset) => ({
+        offset,
+        url: storage.variantUrl(publicId, { ...transform, resourceType, startOffset: offset }),
+      }));
+    } else {
+      variants[name] = storage.variantUrl(publicId, { ...transform, resourceType });
+    }
+
+    return variants;
+  }, {});
+};
+
+// Storage drivers already reported as unable to build URLs (logged once each)
+const failedDrivers = new Set();
+
+// Build the variant URLs for a media item from the presets in config/variants.js.
+// Returns null when the file's storage backend can't transform files, or
+// can't build URLs right now (e.g. Cloudinary without credentials).
+const buildVariants = (media) => {
+  if (!media || !media.cloudinaryPublicId || !media.type) return null;
+
+  const storage = getStorage(media.storage);
+  if (!storage.variantUrl) return null;
+
+  try {
+    return buildPresetUrls(storage, media);
+  } catch (error) {
+    if (!failedDrivers.has(storage.name)) {
+      failedDrivers.add(storage.name);
+      console.error(`⚠️ Can't build ${storage.name} variant URLs:`, error.message);
+    }
+    return null;
+  }
+};
+
+module.exports = { buildVariants };
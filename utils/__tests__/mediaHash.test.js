@@ -0,0 +1,150 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const {
+  hashContent,
+  perceptualHash,
+  hammingDistance,
+  findNearPairs,
+  hashUpload,
+} = require("../mediaHash");
+
+// A left-to-right gradient with a dark block, so the dHash has both bit values
+const gradientImage = (width, height) => {
+  const pixels = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inBlock = x > width / 2 && y < height / 3;
+      pixels[y * width + x] = inBlock ? 10 : Math.round((x / width) * 255);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 1 } });
+};
+
+// Flip `bits` distinct bits of a 64-bit hex hash
+const flipBits = (hash, bits) => {
+  let value = BigInt(`0x${hash}`);
+  for (let bit = 0; bit < bits; bit++) value ^= 1n << BigInt(bit * 5);
+  return value.toString(16).padStart(16, "0");
+};
+
+describe("hashContent", () => {
+  test("hashes a Buffer and the same bytes on disk alike", async () => {
+    const data = Buffer.from("pixel arts");
+    const file = path.join(os.tmpdir(), `hash-test-${process.pid}.bin`);
+    fs.writeFileSync(file, data);
+
+    try {
+      const expected = crypto.createHash("sha256").update(data).digest("hex");
+      expect(await hashContent(data)).toBe(expected);
+      expect(await hashContent(file)).toBe(expected);
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+});
+
+describe("hammingDistance", () => {
+  test.each([
+    ["0000000000000000", "0000000000000000", 0],
+    ["0000000000000000", "0000000000000001", 1],
+    ["ffffffffffffffff", "0000000000000000", 64],
+    ["8000000080000000", "0000000000000000", 2],
+    ["f0f0f0f0f0f0f0f0", "0f0f0f0f0f0f0f0f", 64],
+    ["123456789abcdef0", "123456789abcdef0", 0],
+  ])("%s vs %s is %i", (a, b, distance) => {
+    expect(hammingDistance(a, b)).toBe(distance);
+    expect(hammingDistance(b, a)).toBe(distance);
+  });
+});
+
+describe("findNearPairs", () => {
+  const base = "a5a5f00f3c3c9669";
+
+  test("finds hashes within the distance and skips the rest", () => {
+    const hashes = [base, flipBits(base, 3), flipBits(base, 10), flipBits(base, 11)];
+
+    const pairs = findNearPairs(hashes, 10).map(([i, j, distance]) => [i, j, distance]);
+
+    expect(pairs).toEqual(
+      expect.arrayContaining([
+        [0, 1, 3],
+        [0, 2, 10],
+        [1, 2, 7],
+        [1, 3, 8],
+        [2, 3, 1],
+      ])
+    );
+    expect(pairs).not.toContainEqual([0, 3, 11]);
+    expect(pairs).toHaveLength(5);
+  });
+
+  test("matches a brute-force comparison", () => {
+    // Deterministic pseudo-random hashes with some near copies
+    let seed = 42;
+    const next = () => {
+      seed = (seed * 1103515245 + 12345) % 2 ** 31;
+      return seed.toString(16).padStart(8, "0");
+    };
+    const hashes = [];
+    for (let i = 0; i < 150; i++) {
+      const hash = `${next()}${next()}`;
+      hashes.push(hash, flipBits(hash, i % 12));
+    }
+
+    for (const maxDistance of [0, 4, 10]) {
+      const expected = [];
+      for (let i = 0; i < hashes.length; i++) {
+        for (let j = i + 1; j < hashes.length; j++) {
+          const distance = hammingDistance(hashes[i], hashes[j]);
+          if (distance <= maxDistance) expected.push(`${i}-${j}`);
+        }
+      }
+
+      const found = findNearPairs(hashes, maxDistance).map(([i, j]) => `${i}-${j}`);
+      expect(found.sort()).toEqual(expected.sort());
+    }
+  });
+});
+
+describe("perceptualHash", () => {
+  test("keeps resized and re-encoded copies close", async () => {
+    const original = await gradientImage(320, 240).png().toBuffer();
+    const copy = await gradientImage(320, 240).resize(160, 120).jpeg({ quality: 60 }).toBuffer();
+
+    const a = await perceptualHash(original, "image/png");
+    const b = await perceptualHash(copy, "image/jpeg");
+
+    expect(a).toMatch(/^[0-9a-f]{16}$/);
+    expect(hammingDistance(a, b)).toBeLessThanOrEqual(4);
+  });
+
+  test("tells different images apart", async () => {
+    const image = await gradientImage(320, 240).png().toBuffer();
+    const flipped = await gradientImage(320, 240).flop().png().toBuffer();
+
+    const distance = hammingDistance(
+      await perceptualHash(image, "image/png"),
+      await perceptualHash(flipped, "image/png")
+    );
+
+    expect(distance).toBeGreaterThan(10);
+  });
+
+  test("is undefined for videos", async () => {
+    expect(await perceptualHash(Buffer.alloc(16), "video/mp4")).toBeUndefined();
+  });
+});
+
+describe("hashUpload", () => {
+  test("returns both hashes", async () => {
+    const image = await gradientImage(64, 64).png().toBuffer();
+
+    const hashes = await hashUpload(image, "image/png");
+
+    expect(hashes.contentHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashes.perceptualHash).toMatch(/^[0-9a-f]{16}$/);
+  });
+});
@@ -0,0 +1,175 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const { extractMetadata, qualityTier } = require("../mediaMetadata");
+
+// ---- Fixture builders ----
+
+// An ISO BMFF box: 32-bit size, 4-character type, payload
+const box = (type, ...payloads) => {
+  const payload = Buffer.concat(payloads);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(payload.length + 8, 0);
+  header.write(type, 4, "latin1");
+  return Buffer.concat([header, payload]);
+};
+
+// A zeroed buffer with some big-endian 32-bit fields filled in
+const fields32 = (length, values) => {
+  const buffer = Buffer.alloc(length);
+  Object.entries(values).forEach(([offset, value]) => buffer.writeUInt32BE(value, Number(offset)));
+  return buffer;
+};
+
+// A minimal MP4: one video track with codec, size, duration and frame timing
+const buildMp4 = ({ codec = "avc1", width, height, seconds, fps }) => {
+  const mvhd = box("mvhd", fields32(100, { 12: 1000, 16: seconds * 1000 }));
+  const tkhd = box("tkhd", fields32(84, { 76: width * 65536, 80: height * 65536 }));
+  const mdhd = box("mdhd", fields32(24, { 12: fps * 1000, 16: seconds * fps * 1000 }));
+  const hdlr = box("hdlr", Buffer.concat([Buffer.alloc(8), Buffer.from("vide"), Buffer.alloc(12)]));
+
+  const sampleEntry = Buffer.alloc(78);
+  sampleEntry.writeUInt32BE(78, 0);
+  sampleEntry.write(codec, 4, "latin1");
+  const stsd = box("stsd", fields32(8, { 4: 1 }), sampleEntry);
+  const stts = box("stts", fields32(16, { 4: 1, 8: seconds * fps, 12: 1000 }));
+
+  const stbl = box("stbl", stsd, stts);
+  const mdia = box("mdia", mdhd, hdlr, box("minf", stbl));
+  const moov = box("moov", mvhd, box("trak", tkhd, mdia));
+
+  return Buffer.concat([box("ftyp", Buffer.from("isom\0\0\0\0isom")), moov]);
+};
+
+// A minimal AVI header: main header (avih) and a video stream header (strh)
+const buildAvi = ({ width, height, fps, frames, handler }) => {
+  const chunk = (id, data) => {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, "latin1");
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, data]);
+  };
+
+  const avih = Buffer.alloc(56);
+  avih.writeUInt32LE(Math.round(1e6 / fps), 0);
+  avih.writeUInt32LE(frames, 16);
+  avih.writeUInt32LE(width, 32);
+  avih.writeUInt32LE(height, 36);
+
+  const strh = Buffer.alloc(56);
+  strh.write("vids", 0, "latin1");
+  strh.write(handler, 4, "latin1");
+
+  return Buffer.concat([
+    Buffer.from("RIFF\0\0\0\0AVI LIST\0\0\0\0hdrl", "latin1"),
+    chunk("avih", avih),
+    Buffer.from("LIST\0\0\0\0strl", "latin1"),
+    chunk("strh", strh),
+  ]);
+};
+
+// ---- Tests ----
+
+describe("qualityTier", () => {
+  test.each([
+    [3840, 2160, "ultra"],
+    [2160, 3840, "ultra"],
+    [1920, 1080, "high"],
+    [1280, 720, "medium"],
+    [640, 480, "low"],
+  ])("%ix%i is %s", (width, height, tier) => {
+    expect(qualityTier(width, height)).toBe(tier);
+  });
+
+  test("is undefined without a resolution", () => {
+    expect(qualityTier(undefined, 1080)).toBeUndefined();
+  });
+});
+
+describe("extractMetadata", () => {
+  test("reads image dimensions", async () => {
+    const png = await sharp({
+      create: { width: 1920, height: 1080, channels: 3, background: "#336699" },
+    })
+      .png()
+      .toBuffer();
+
+    const info = await extractMetadata(png, "image/png");
+
+    expect(info).toMatchObject({ width: 1920, height: 1080, orientation: 1, quality: "high" });
+  });
+
+  test("swaps dimensions for rotated EXIF orientations", async () => {
+    const jpeg = await sharp({
+      create: { width: 400, height: 300, channels: 3, background: "#ffffff" },
+    })
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .toBuffer();
+
+    const info = await extractMetadata(jpeg, "image/jpeg");
+
+    expect(info).toMatchObject({ width: 300, height: 400, orientation: 6 });
+  });
+
+  test("reads duration, size, codec and frame rate from an MP4", async () => {
+    const mp4 = buildMp4({ width: 1280, height: 720, seconds: 2, fps: 24 });
+
+    const info = await extractMetadata(mp4, "video/mp4");
+
+    expect(info).toEqual({
+      duration: 2,
+      width: 1280,
+      height: 720,
+      codec: "h264",
+      frameRate: 24,
+      quality: "medium",
+    });
+  });
+
+  test("reads an MP4 from a path on disk", async () => {
+    const file = path.join(os.tmpdir(), `metadata-test-${process.pid}.mov`);
+    fs.writeFileSync(file, buildMp4({ codec: "hvc1", width: 3840, height: 2160, seconds: 1, fps: 30 }));
+
+    try {
+      const info = await extractMetadata(file, "video/quicktime");
+      expect(info).toMatchObject({ codec: "hevc", frameRate: 30, quality: "ultra" });
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+
+  test("reads the AVI main and video stream headers", async () => {
+    const avi = buildAvi({ width: 640, height: 480, fps: 25, frames: 250, handler: "XVID" });
+
+    const info = await extractMetadata(avi, "video/x-msvideo");
+
+    expect(info).toEqual({
+      width: 640,
+      height: 480,
+      frameRate: 25,
+      duration: 10,
+      codec: "xvid",
+      quality: "low",
+    });
+  });
+
+  test("reads an MPEG sequence header", async () => {
+    // 720x576, aspect code 2, frame rate code 3 (25 fps)
+    const mpeg = Buffer.from([0x00, 0x00, 0x01, 0xb3, 0x2d, 0x02, 0x40, 0x23, 0xff, 0xff]);
+
+    const info = await extractMetadata(mpeg, "video/mpeg");
+
+    expect(info).toEqual({ width: 720, height: 576, frameRate: 25, codec: "mpeg", quality: "low" });
+  });
+
+  test("returns no fields for an unreadable file", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const info = await extractMetadata(Buffer.from("not an image"), "image/png");
+
+    expect(info).toEqual({});
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,148 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const sharp = require("sharp");
+
+// Perceptual hash size: a 9x8 grayscale thumbnail gives 64 difference bits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT;
+
+// Images further apart than this many bits are not near-duplicates
+const NEAR_DUPLICATE_DISTANCE = 10;
+
+// What an upload does when it exactly matches existing media
+const DUPLICATE_POLICIES = ["warn", "reject"];
+
+// SHA-256 of an upload (a Buffer or a path on disk), as hex
+const hashContent = async (source) => {
+  const hash = crypto.createHash("sha256");
+
+  if (Buffer.isBuffer(source)) {
+    return hash.update(source).digest("hex");
+  }
+
+  for await (const chunk of fs.createReadStream(source)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+};
+
+// Difference hash of an image: each bit says whether a pixel of a tiny
+// grayscale copy is brighter than its right neighbour. Re-encoded, resized
+// or lightly edited copies land within a few bits of each other.
+// Resolves to 16 hex characters, or undefined for videos and unreadable files.
+const perceptualHash = async (source, mimeType) => {
+  if (!mimeType.startsWith("image/")) return undefined;
+
+  try {
+    const pixels = await sharp(source, { animated: false })
+      .rotate()
+      .flatten({ background: "#ffffff" })
+      .grayscale()
+      .resize(HASH_WIDTH, HASH_HEIGHT, { fit: "fill" })
+      .raw()
+      .toBuffer();
+
+    let bits = 0n;
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+      for (let x = 0; x < HASH_WIDTH - 1; x++) {
+        const left = pixels[y * HASH_WIDTH + x];
+        const right = pixels[y * HASH_WIDTH + x + 1];
+        bits = (bits << 1n) | (left > right ? 1n : 0n);
+      }
+    }
+
+    return bits.toString(16).padStart(16, "0");
+  } catch (error) {
+    console.error("Perceptual hash error:", error.message);
+    return undefined;
+  }
+};
+
+// Split a 64-bit hex hash into two 32-bit numbers (cheaper than BigInt)
+const hashHalves = (hash) => [
+  parseInt(hash.slice(0, 8), 16),
+  parseInt(hash.slice(8, 16), 16),
+];
+
+// Number of set bits in a 32-bit number
+const popcount = (value) => {
+  let n = value >>> 0;
+  n -= (n >>> 1) & 0x55555555;
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  n = (n + (n >>> 4)) & 0x0f0f0f0f;
+  return Math.imul(n, 0x01010101) >>> 24;
+};
+
+// Number of differing bits between two perceptual hashes
+const hammingDistance = (a, b) => {
+  const [aHigh, aLow] = hashHalves(a);
+  const [bHigh, bLow] = hashHalves(b);
+  return popcount(aHigh ^ bHigh) + popcount(aLow ^ bLow);
+};
+
+// Pairs of hashes within maxDistance bits: [[i, j, distance], ...].
+// Two hashes differing in at most d bits agree exactly on at least one of
+// d + 1 slices of the hash, so only hashes sharing a slice get compared.
+const findNearPairs = (hashes, maxDistance = NEAR_DUPLICATE_DISTANCE) => {
+  const sliceCount = Math.min(maxDistance + 1, HASH_BITS);
+  const halves = hashes.map(hashHalves);
+  const sliceKeys = hashes.map((hash) => {
+    const bits = BigInt(`0x${hash}`).toString(2).padStart(HASH_BITS, "0");
+    return Array.from({ length: sliceCount }, (_, slice) =>
+      bits.slice(
+        Math.floor((slice * HASH_BITS) / sliceCount),
+        Math.floor(((slice + 1) * HASH_BITS) / sliceCount)
+      )
+    );
+  });
+  const pairs = [];
+
+  for (let slice = 0; slice < sliceCount; slice++) {
+    const buckets = new Map();
+    sliceKeys.forEach((keys, index) => {
+      if (!buckets.has(keys[slice])) buckets.set(keys[slice], []);
+      buckets.get(keys[slice]).push(index);
+    });
+
+    for (const members of buckets.values()) {
+      for (let x = 0; x < members.length; x++) {
+        for (let y = x + 1; y < members.length; y++) {
+          const [i, j] = [members[x], members[y]];
+
+          // Compare each pair only in the first slice it shares
+          let seen = false;
+          for (let earlier = 0; earlier < slice && !seen; earlier++) {
+            seen = sliceKeys[i][earlier] === sliceKeys[j][earlier];
+          }
+          if (seen) continue;
+
+          const distance =
+            popcount(halves[i][0] ^ halves[j][0]) + popcount(halves[i][1] ^ halves[j][1]);
+          if (distance <= maxDistance) pairs.push([i, j, distance]);
+        }
+      }
+    }
+  }
+
+  return pairs;
+};
+
+// Both hashes for an upload: { contentHash, perceptualHash }
+const hashUpload = async (source, mimeType) => {
+  const [contentHash, phash] = await Promise.all([
+    hashContent(source),
+    perceptualHash(source, mimeType),
+  ]);
+  return { contentHash, perceptualHash: phash };
+};
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  NEAR_DUPLICATE_DISTANCE,
+  hashContent,
+  perceptualHash,
+  hammingDistance,
+  findNearPairs,
+  hashUpload,
+};
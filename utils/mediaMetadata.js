@@ -0,0 +1,327 @@
+const fs = require("fs");
+const exifr = require("exifr");
+const { imageSize } = require("image-size");
+
+// Image headers (EXIF, ICC) sit at the start of the file
+const IMAGE_HEAD_BYTES = 4 * 1024 * 1024;
+// Largest MP4/MOV box read into memory (sample tables can be huge)
+const MAX_BOX_BYTES = 1024 * 1024;
+
+// Long edge (px) at which each quality tier starts, best first
+const QUALITY_TIERS = [
+  { tier: "ultra", minEdge: 3840 },
+  { tier: "high", minEdge: 1920 },
+  { tier: "medium", minEdge: 1280 },
+  { tier: "low", minEdge: 0 },
+];
+
+// Friendly names for common video sample entry codes
+const VIDEO_CODECS = {
+  avc1: "h264",
+  avc3: "h264",
+  hvc1: "hevc",
+  hev1: "hevc",
+  av01: "av1",
+  vp09: "vp9",
+  mp4v: "mpeg4",
+  jpeg: "mjpeg",
+  apch: "prores",
+  apcn: "prores",
+  apcs: "prores",
+  apco: "prores",
+  ap4h: "prores",
+  ap4x: "prores",
+};
+
+// MPEG-1/2 frame_rate_code values
+const MPEG_FRAME_RATES = [null, 23.976, 24, 25, 29.97, 30, 50, 59.94, 60];
+
+// Random access to a Buffer or a file on disk
+const openSource = async (source) => {
+  if (Buffer.isBuffer(source)) {
+    return {
+      size: source.length,
+      read: async (offset, length) => source.subarray(offset, offset + length),
+      close: async () => {},
+    };
+  }
+
+  const handle = await fs.promises.open(source, "r");
+  const { size } = await handle.stat();
+
+  return {
+    size,
+    read: async (offset, length) => {
+      const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - offset)));
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+      return buffer.subarray(0, bytesRead);
+    },
+    close: () => handle.close(),
+  };
+};
+
+// Quality tier for a resolution; undefined when it is unknown
+const qualityTier = (width, height) => {
+  if (!width || !height) return undefined;
+  const edge = Math.max(width, height);
+  return QUALITY_TIERS.find(({ minEdge }) => edge >= minEdge).tier;
+};
+
+const round = (value, digits = 3) =>
+  Math.round(value * 10 ** digits) / 10 ** digits;
+
+// ---- Images ----
+
+const inspectImage = async (reader) => {
+  const head = await reader.read(0, IMAGE_HEAD_BYTES);
+  const { width, height } = imageSize(head);
+
+  let tags = {};
+  try {
+    tags =
+      (await exifr.parse(head, {
+        tiff: true,
+        icc: true,
+        ifd0: ["Orientation"],
+        exif: false,
+        gps: false,
+        translateValues: false,
+      })) || {};
+  } catch (error) {
+    // Files without EXIF/ICC data are fine
+  }
+
+  const orientation = tags.Orientation || 1;
+  // Orientations 5-8 are rotated by 90 degrees; store the size as displayed
+  const rotated = orientation >= 5 && orientation <= 8;
+
+  return {
+    width: rotated ? height : width,
+    height: rotated ? width : height,
+    orientation,
+    colorProfile: tags.ProfileDescription || tags.ColorSpaceData || undefined,
+  };
+};
+
+// ---- MP4 / QuickTime (ISO base media file format) ----
+
+// List the boxes between start and end: [{ type, start, size, headerSize }]
+const readBoxes = async (reader, start, end) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    const header = await reader.read(offset, 16);
+    if (header.length < 8) break;
+
+    let size = header.readUInt32BE(0);
+    const type = header.toString("latin1", 4, 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+
+    boxes.push({ type, start: offset, size, headerSize });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+// Find a child box by following a path of box types ("mdia", "minf", ...)
+const findBox = async (reader, parent, path) => {
+  let box = parent;
+  for (const type of path) {
+    const children = await readBoxes(
+      reader,
+      box.start + box.headerSize,
+      box.start + box.size
+    );
+    box = children.find((child) => child.type === type);
+    if (!box) return null;
+  }
+  return box;
+};
+
+// Read a box's payload (capped, see MAX_BOX_BYTES)
+const readPayload = (reader, box) =>
+  reader.read(box.start + box.headerSize, Math.min(box.size - box.headerSize, MAX_BOX_BYTES));
+
+// Read the [timescale, duration] pair of an mvhd/mdhd payload
+const readTimescaleDuration = (payload) => {
+  if (payload[0] === 1) {
+    return [payload.readUInt32BE(20), Number(payload.readBigUInt64BE(24))];
+  }
+  return [payload.readUInt32BE(12), payload.readUInt32BE(16)];
+};
+
+const inspectVideoTrack = async (reader, trak) => {
+  const hdlr = await findBox(reader, trak, ["mdia", "hdlr"]);
+  if (!hdlr) return null;
+  const handlerType = (await readPayload(reader, hdlr)).toString("latin1", 8, 12);
+  if (handlerType !== "vide") return null;
+
+  const track = {};
+
+  const tkhd = await findBox(reader, trak, ["tkhd"]);
+  if (tkhd) {
+    const payload = await readPayload(reader, tkhd);
+    const sizeOffset = payload[0] === 1 ? 88 : 76;
+    if (payload.length >= sizeOffset + 8) {
+      track.width = Math.round(payload.readUInt32BE(sizeOffset) / 65536);
+      track.height = Math.round(payload.readUInt32BE(sizeOffset + 4) / 65536);
+    }
+  }
+
+  const stsd = await findBox(reader, trak, ["mdia", "minf", "stbl", "stsd"]);
+  if (stsd) {
+    const payload = await readPayload(reader, stsd);
+    if (payload.length >= 16) {
+      const format = payload.toString("latin1", 12, 16);
+      track.codec = VIDEO_CODECS[format] || format.trim();
+    }
+    // Fall back on the sample entry size when tkhd has none
+    if (!track.width && payload.length >= 44) {
+      track.width = payload.readUInt16BE(40);
+      track.height = payload.readUInt16BE(42);
+    }
+  }
+
+  const mdhd = await findBox(reader, trak, ["mdia", "mdhd"]);
+  const stts = await findBox(reader, trak, ["mdia", "minf", "stbl", "stts"]);
+  if (mdhd && stts) {
+    const [timescale, duration] = readTimescaleDuration(await readPayload(reader, mdhd));
+    const payload = await readPayload(reader, stts);
+    const entryCount = payload.readUInt32BE(4);
+
+    let samples = 0;
+    for (let i = 0; i < entryCount && 8 + i * 8 + 8 <= payload.length; i++) {
+      samples += payload.readUInt32BE(8 + i * 8);
+    }
+
+    if (timescale && duration && samples) {
+      track.frameRate = round(samples / (duration / timescale));
+    }
+  }
+
+  return track;
+};
+
+const inspectIsoMedia = async (reader) => {
+  const topLevel = await readBoxes(reader, 0, reader.size);
+  const moov = topLevel.find((box) => box.type === "moov");
+  if (!moov) return {};
+
+  const result = {};
+
+  const mvhd = await findBox(reader, moov, ["mvhd"]);
+  if (mvhd) {
+    const [timescale, duration] = readTimescaleDuration(await readPayload(reader, mvhd));
+    if (timescale) result.duration = round(duration / timescale);
+  }
+
+  const traks = (
+    await readBoxes(reader, moov.start + moov.headerSize, moov.start + moov.size)
+  ).filter((box) => box.type === "trak");
+
+  for (const trak of traks) {
+    const track = await inspectVideoTrack(reader, trak);
+    if (track) return { ...result, ...track };
+  }
+
+  return result;
+};
+
+// ---- AVI (RIFF) ----
+
+const inspectAvi = async (reader) => {
+  const head = await reader.read(0, 64 * 1024);
+  const result = {};
+
+  const avih = head.indexOf("avih", 0, "latin1");
+  if (avih !== -1 && head.length >= avih + 48) {
+    const microSecPerFrame = head.readUInt32LE(avih + 8);
+    const totalFrames = head.readUInt32LE(avih + 24);
+    result.width = head.readUInt32LE(avih + 40);
+    result.height = head.readUInt32LE(avih + 44);
+    if (microSecPerFrame) {
+      result.frameRate = round(1e6 / microSecPerFrame);
+      result.duration = round((totalFrames * microSecPerFrame) / 1e6);
+    }
+  }
+
+  // The video stream header: "strh", its size, then fccType "vids" and the codec
+  let strh = head.indexOf("strh", 0, "latin1");
+  while (strh !== -1 && head.toString("latin1", strh + 8, strh + 12) !== "vids") {
+    strh = head.indexOf("strh", strh + 4, "latin1");
+  }
+  if (strh !== -1 && head.length >= strh + 16) {
+    const handler = head.toString("latin1", strh + 12, strh + 16).toLowerCase();
+    result.codec = handler.replace(/\0/g, "").trim() || undefined;
+  }
+
+  return result;
+};
+
+// ---- MPEG program/elementary streams ----
+
+const inspectMpeg = async (reader) => {
+  const head = await reader.read(0, 1024 * 1024);
+  const sequenceHeader = head.indexOf(Buffer.from([0x00, 0x00, 0x01, 0xb3]));
+  if (sequenceHeader === -1 || head.length < sequenceHeader + 8) return {};
+
+  const bytes = head.subarray(sequenceHeader + 4, sequenceHeader + 8);
+  return {
+    width: (bytes[0] << 4) | (bytes[1] >> 4),
+    height: ((bytes[1] & 0x0f) << 8) | bytes[2],
+    frameRate: MPEG_FRAME_RATES[bytes[3] & 0x0f] || undefined,
+    codec: "mpeg",
+  };
+};
+
+const VIDEO_INSPECTORS = {
+  "video/mp4": inspectIsoMedia,
+  "video/quicktime": inspectIsoMedia,
+  "video/x-msvideo": inspectAvi,
+  "video/mpeg": inspectMpeg,
+};
+
+// Read technical metadata from an upload (a Buffer or a path on disk) before it
+// is stored. Never throws: unreadable files just yield fewer fields.
+// Resolves to { width, height, duration, orientation, colorProfile, codec, frameRate, quality }.
+const extractMetadata = async (source, mimeType) => {
+  let reader;
+  try {
+    reader = await openSource(source);
+
+    let info = {};
+    if (mimeType.startsWith("image/")) {
+      info = await inspectImage(reader);
+    } else if (VIDEO_INSPECTORS[mimeType]) {
+      info = await VIDEO_INSPECTORS[mimeType](reader);
+    }
+
+    const metadata = Object.fromEntries(
+      Object.entries(info).filter(([, value]) => value !== undefined && value !== null)
+    );
+    metadata.quality = qualityTier(metadata.width, metadata.height);
+
+    return metadata;
+  } catch (error) {
+    console.error("Metadata extraction error:", error.message);
+    return {};
+  } finally {
+    if (reader) await reader.close().catch(() => {});
+  }
+};
+
+module.exports = {
+  QUALITY_TIERS,
+  extractMetadata,
+  qualityTier,
+};
@@ -0,0 +1,217 @@
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const path = require("path");
+const uploadConfig = require("../config/uploads");
+const { isAllowedMimeType } = require("../middleware/upload");
+
+// Address ranges a remote fetch may never connect to: loopback, private,
+// link-local (cloud metadata), carrier-grade NAT, multicast and reserved
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv6"));
+
+// An error carrying the HTTP status to answer with
+const fetchError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Whether an IP address is on the public internet
+const isPublicAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const family = net.isIPv4(address) ? "ipv4" : "ipv6";
+  return !blockedAddresses.check(address, family);
+};
+
+// DNS lookup that refuses internal addresses. Used as the socket's lookup, so
+// the checked address is the one connected to (no DNS rebinding window).
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked || addresses.length === 0) {
+      return callback(fetchError(`Refusing to fetch from internal address ${hostname}`, 400));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Check a URL before requesting it; throws on anything not fetchable
+const parseRemoteUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw fetchError("Invalid URL", 400);
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw fetchError("Only http and https URLs can be fetched", 400);
+  }
+  if (url.username || url.password) {
+    throw fetchError("URLs with credentials can't be fetched", 400);
+  }
+
+  // Literal IPs skip DNS, so check them here
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw fetchError(`Refusing to fetch from internal address ${host}`, 400);
+  }
+
+  return url;
+};
+
+// File name for a fetched file, from the last URL path segment
+const fileNameFor = (url) => {
+  try {
+    return path.posix.basename(decodeURIComponent(url.pathname)) || "remote-file";
+  } catch (error) {
+    return "remote-file";
+  }
+};
+
+// One GET request; resolves to the response (or the redirect target)
+const request = (url, deadline) =>
+  new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const req = client.get(url, {
+      lookup: publicLookup,
+      timeout: Math.max(1, deadline - Date.now()),
+      headers: { "User-Agent": "PixelArts-Ingest/1.0", Accept: "image/*,video/*" },
+    });
+
+    req.on("response", resolve);
+    req.on("timeout", () => req.destroy(fetchError("Remote server timed out", 504)));
+    req.on("error", (error) =>
+      reject(error.statusCode ? error : fetchError(`Could not fetch URL: ${error.message}`, 502))
+    );
+  });
+
+// Read a response body, giving up as soon as it passes maxBytes
+const readBody = (response, maxBytes, deadline) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+
+    const timer = setTimeout(
+      () => response.destroy(fetchError("Remote server timed out", 504)),
+      Math.max(1, deadline - Date.now())
+    );
+
+    response.on("data", (chunk) => {
+      received += chunk.length;
+      if (received > maxBytes) {
+        response.destroy(fetchError(`Remote file is larger than ${maxBytes} bytes`, 413));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on("end", () => {
+      clearTimeout(timer);
+      resolve(Buffer.concat(chunks));
+    });
+    response.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error.statusCode ? error : fetchError(`Could not fetch URL: ${error.message}`, 502));
+    });
+  });
+
+// Download a remote image or video into memory, with the same type allowlist
+// as direct uploads, a size cap, a time limit and no access to internal hosts.
+// Resolves to a multer-style file: { buffer, mimetype, size, originalname }.
+// Errors carry a `statusCode` to respond with.
+const fetchRemoteFile = async (value, options = {}) => {
+  const {
+    maxBytes = uploadConfig.remoteFetch.maxBytes,
+    timeoutMs = uploadConfig.remoteFetch.timeoutMs,
+    maxRedirects = uploadConfig.remoteFetch.maxRedirects,
+  } = options;
+
+  const deadline = Date.now() + timeoutMs;
+  let url = parseRemoteUrl(value);
+
+  for (let redirects = 0; ; redirects++) {
+    const response = await request(url, deadline);
+
+    if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+      response.resume();
+      if (redirects >= maxRedirects || !response.headers.location) {
+        throw fetchError("Too many redirects", 502);
+      }
+      // Every hop is checked again
+      url = parseRemoteUrl(new URL(response.headers.location, url).href);
+      continue;
+    }
+
+    if (response.statusCode !== 200) {
+      response.resume();
+      throw fetchError(`Remote server answered ${response.statusCode}`, 502);
+    }
+
+    const mimetype = (response.headers["content-type"] || "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase();
+    if (!isAllowedMimeType(mimetype)) {
+      response.resume();
+      throw fetchError(
+        `Remote file type "${mimetype || "unknown"}" is not allowed. Only images and videos are allowed.`,
+        415
+      );
+    }
+
+    const declaredSize = parseInt(response.headers["content-length"]);
+    if (declaredSize > maxBytes) {
+      response.destroy();
+      throw fetchError(`Remote file is larger than ${maxBytes} bytes`, 413);
+    }
+
+    const buffer = await readBody(response, maxBytes, deadline);
+    if (buffer.length === 0) {
+      throw fetchError("Remote file is empty", 502);
+    }
+
+    return {
+      buffer,
+      mimetype,
+      size: buffer.length,
+      originalname: fileNameFor(url),
+    };
+  }
+};
+
+module.exports = {
+  fetchRemoteFile,
+  isPublicAddress,
+};